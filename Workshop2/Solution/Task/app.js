@@ -21,6 +21,7 @@ fastify.register(require('./plugins/templates'))
 fastify.register(require('./plugins/static'))
 fastify.register(require('./plugins/csrf'))
 fastify.register(require('./plugins/formbody'))
+fastify.register(require('./plugins/rate-limit'))
 // Register routes
 fastify.register(require('./routes/home'), { prefix: '/' })
 fastify.register(require('./routes/share'), { prefix: '/' })
@@ -0,0 +1,44 @@
+const fp = require('fastify-plugin')
+const { RateLimiter, MemoryStore } = require('../utils/rate-limit')
+
+// How long to wait, in words
+function waitText(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`
+  }
+  const minutes = Math.ceil(seconds / 60)
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`
+}
+
+// Limits on how often an IP address may call a route, e.g.
+//   { preHandler: fastify.rateLimit({ max: 5, window: 60 * 60 * 1000 }) }
+// A rule (see utils/rate-limit.js) takes:
+//   name      - routes with the same name share a counter; by default every
+//               route has its own
+//   algorithm - 'fixed-window' (default) or 'token-bucket'
+//   max       - requests allowed per window
+//   window    - milliseconds
+// Every response says where the client stands in RateLimit-Limit,
+// RateLimit-Remaining and RateLimit-Reset. Past the limit the client gets
+// the "slow down" page, with status 429 and Retry-After.
+// The quotes only live in memory, and so do the counters.
+module.exports = fp(async (fastify, opts) => {
+  const limiter = new RateLimiter(new MemoryStore())
+  fastify.addHook('onClose', async () => limiter.close())
+
+  fastify.decorate('rateLimit', options => {
+    const rule = RateLimiter.validate({ algorithm: 'fixed-window', ...options })
+
+    return async (request, reply) => {
+      const name = rule.name || `${request.method} ${request.routeOptions.url}`
+      const result = await limiter.hit({ ...rule, name }, request.ip)
+      reply.header('ratelimit-limit', result.limit)
+      reply.header('ratelimit-remaining', result.remaining)
+      reply.header('ratelimit-reset', result.reset)
+      if (result.allowed) return
+
+      reply.header('retry-after', result.retryAfter)
+      return reply.code(429).view('429', { wait: waitText(result.retryAfter) })
+    }
+  })
+})
@@ -6,13 +6,16 @@ fastify.register(require('@fastify/formbody'))
 fastify.register(require('./plugins/templates'))
 fastify.register(require('./plugins/static'))
 fastify.register(require('./plugins/session'))
+fastify.register(require('./plugins/rate-limit'))
 fastify.register(require('./plugins/db-plugin')); 
 fastify.register(require('./plugins/markdown')) 
+fastify.register(require('./plugins/search'))
 
 
 // Routes
 fastify.register(require('./routes/auth'), { prefix: '/' })
 fastify.register(require('./routes/wiki'), { prefix: '/' })
+fastify.register(require('./routes/search'), { prefix: '/' })
 fastify.get('/', async (request, reply) => {
   return reply.view('home')
 })
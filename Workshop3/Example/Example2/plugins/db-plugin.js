@@ -1,8 +1,10 @@
 const fp = require('fastify-plugin');
 
+// Keyed by usernames and page titles that users choose, so without a
+// prototype: "constructor" or "__proto__" are just names like any other
 const inMemoryDatabase = {
-  users: {},
-  pages: {}
+  users: Object.create(null),
+  pages: Object.create(null)
 };
 
 async function dbConnector (fastify, options) {
@@ -1,12 +1,60 @@
 const fp = require('fastify-plugin')
 const MarkdownIt = require('markdown-it')
 
+// markdown-it extension for [[Page Name]] and [[Page Name|label]] links.
+// `exists(name)` decides whether the link points at a page or at /create.
+function wikiLinks(md, options) {
+  md.inline.ruler.before('link', 'wikilink', (state, silent) => {
+    const { src, pos } = state
+    if (!src.startsWith('[[', pos)) return false
+    const end = src.indexOf(']]', pos + 2)
+    if (end === -1) return false
+
+    const inner = src.slice(pos + 2, end)
+    if (/[\[\]\n]/.test(inner)) return false
+    const [target, label] = inner.split('|').map(part => part.trim())
+    if (!target) return false
+
+    if (!silent) {
+      const token = state.push('wikilink', '', 0)
+      token.meta = { target, label: label || target }
+    }
+    state.pos = end + 2
+    return true
+  })
+
+  md.renderer.rules.wikilink = (tokens, idx) => {
+    const { target, label } = tokens[idx].meta
+    const escapedLabel = md.utils.escapeHtml(label)
+    if (options.exists(target)) {
+      return `<a href="/wiki/${encodeURIComponent(target)}" class="wikilink">${escapedLabel}</a>`
+    }
+    return `<a href="/create?title=${encodeURIComponent(target)}" class="wikilink wikilink-missing">${escapedLabel}</a>`
+  }
+}
+
 module.exports = fp(async (fastify, opts) => {
   const md = new MarkdownIt({
     html: false,
     breaks: true
   })
+  // Own keys only: a link to [[constructor]] must not find Object.prototype's
+  md.use(wikiLinks, { exists: name => Object.hasOwn(fastify.dataStore.pages, name) })
 
   // Expose markdown-it instance on fastify
   fastify.decorate('markdown', md)
+
+  // Names of all pages a piece of Markdown links to, ignoring code blocks
+  fastify.decorate('wikiLinksOf', content => {
+    const targets = new Set()
+    for (const block of md.parse(content, {})) {
+      for (const token of block.children || []) {
+        if (token.type === 'wikilink') targets.add(token.meta.target)
+      }
+    }
+    return [...targets]
+  })
+}, {
+  name: 'markdown',
+  dependencies: ['data-connector']
 })
@@ -0,0 +1,130 @@
+const fp = require('fastify-plugin')
+
+const TITLE_WEIGHT = 3
+const PREFIX_WEIGHT = 0.5
+const MIN_PREFIX_LENGTH = 3
+const SNIPPET_LENGTH = 160
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' }
+
+function stripHtml(html) {
+  return html
+    .replace(/<\/(p|h[1-6]|li|blockquote|pre|div)>|<br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, name) => ENTITIES[name])
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function tokenize(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean)
+}
+
+function countTerms(text) {
+  const counts = new Map()
+  for (const term of tokenize(text)) {
+    counts.set(term, (counts.get(term) || 0) + 1)
+  }
+  return counts
+}
+
+// Cut a window of text around the first match and wrap every match in <mark>
+function snippet(text, terms) {
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])((?:${terms.join('|')})[\\p{L}\\p{N}]*)`, 'iu')
+  const match = pattern.exec(text)
+  let start = match ? Math.max(match.index - SNIPPET_LENGTH / 4, 0) : 0
+  if (start > 0) {
+    start = text.indexOf(' ', start) + 1
+  }
+  let end = Math.min(start + SNIPPET_LENGTH, text.length)
+  if (end < text.length && text.lastIndexOf(' ', end) > start) {
+    end = text.lastIndexOf(' ', end)
+  }
+  // split() with a capture group puts the matches at the odd indexes
+  let excerpt = text.slice(start, end)
+    .split(new RegExp(pattern.source, 'giu'))
+    .map((part, i) => i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+    .join('')
+  if (start > 0) excerpt = '… ' + excerpt
+  if (end < text.length) excerpt += ' …'
+  return excerpt
+}
+
+async function search(fastify, options) {
+  const documents = new Map() // title -> { text, length, terms }
+  const postings = new Map() // term -> Map(title -> weighted term frequency)
+
+  function remove(title) {
+    const doc = documents.get(title)
+    if (!doc) return
+    for (const term of doc.terms) {
+      const docs = postings.get(term)
+      docs.delete(title)
+      if (docs.size === 0) postings.delete(term)
+    }
+    documents.delete(title)
+  }
+
+  // Re-index a single page; called whenever a page is saved
+  function update(title, content) {
+    remove(title)
+    const text = stripHtml(fastify.markdown.render(content))
+    const weights = countTerms(text)
+    for (const [term, count] of countTerms(title)) {
+      weights.set(term, (weights.get(term) || 0) + count * TITLE_WEIGHT)
+    }
+    for (const [term, weight] of weights) {
+      if (!postings.has(term)) postings.set(term, new Map())
+      postings.get(term).set(title, weight)
+    }
+    const length = [...weights.values()].reduce((sum, weight) => sum + weight, 0)
+    documents.set(title, { text, length, terms: [...weights.keys()] })
+  }
+
+  function query(q) {
+    const terms = [...new Set(tokenize(q))]
+    if (terms.length === 0) return []
+
+    const scores = new Map()
+    for (const term of terms) {
+      for (const [indexed, docs] of postings) {
+        // Exact matches count fully, "plugin" finding "plugins" counts less
+        let boost = 0
+        if (indexed === term) boost = 1
+        else if (term.length >= MIN_PREFIX_LENGTH && indexed.startsWith(term)) boost = PREFIX_WEIGHT
+        if (!boost) continue
+        const idf = Math.log(1 + documents.size / docs.size)
+        for (const [title, weight] of docs) {
+          scores.set(title, (scores.get(title) || 0) + weight * idf * boost)
+        }
+      }
+    }
+
+    return [...scores]
+      .map(([title, score]) => ({
+        title,
+        score: score / Math.sqrt(documents.get(title).length),
+        snippet: snippet(documents.get(title).text, terms)
+      }))
+      .sort((a, b) => b.score - a.score)
+  }
+
+  for (const [title, page] of Object.entries(fastify.dataStore.pages)) {
+    update(title, page.content)
+  }
+
+  fastify.decorate('searchIndex', { update, remove, query })
+}
+
+module.exports = fp(search, {
+  name: 'search',
+  dependencies: ['data-connector', 'markdown']
+})
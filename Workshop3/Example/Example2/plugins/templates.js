@@ -1,9 +1,12 @@
 const fp = require('fastify-plugin')
 const path = require('path')
+const handlebars = require('handlebars')
 
 module.exports = fp(async (fastify, opts) => {
+  // Page titles can hold ?, # or /; {{urlencode title}} makes them safe in a URL
+  handlebars.registerHelper('urlencode', value => encodeURIComponent(value))
   fastify.register(require('@fastify/view'), {
-    engine: { handlebars: require('handlebars') },
+    engine: { handlebars },
     templates: path.join(__dirname, '../views'),
     includeViewExtension: true,
     options: {
@@ -14,13 +14,19 @@ function collectMessages(reply) {
     return messages
   }
 
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+
 module.exports = async (fastify, opts) => {
+  const loginLimit = fastify.rateLimit({ algorithm: 'token-bucket', max: 10, window: MINUTE })
+  const registerLimit = fastify.rateLimit({ max: 5, window: HOUR })
+
   fastify.get('/register', async (request, reply) => {
     messages = collectMessages(reply)
     return reply.view('register', { messages: messages})
   })
 
-  fastify.post('/register', async (request, reply) => {
+  fastify.post('/register', { preHandler: registerLimit }, async (request, reply) => {
     const { username, password } = request.body
 
     if (fastify.dataStore.users[username]) {
@@ -39,7 +45,7 @@ module.exports = async (fastify, opts) => {
     return reply.view('login', { messages: messages })
   })
 
-  fastify.post('/login', async (request, reply) => {
+  fastify.post('/login', { preHandler: loginLimit }, async (request, reply) => {
     const { username, password } = request.body
     const user = fastify.dataStore.users[username]
 
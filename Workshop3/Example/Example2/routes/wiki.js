@@ -15,13 +15,37 @@ module.exports = async (fastify, opts) => {
 
   fastify.get('/wiki/:page_name', async (request, reply) => {
     const { page_name } = request.params
-    const page = fastify.dataStore.pages[page_name]
+    const page = Object.hasOwn(fastify.dataStore.pages, page_name) ? fastify.dataStore.pages[page_name] : null
     messages = collectMessages(reply)
     if (!page) {
       return reply.view('404', { messages: messages })
     }
     page.html_content = fastify.markdown.render(page.content)
-    return reply.view('wiki_page', { page, page_name })
+    const backlinks = Object.keys(fastify.dataStore.pages)
+      .filter(title => title !== page_name && fastify.dataStore.pages[title].links.includes(page_name))
+      .sort()
+    return reply.view('wiki_page', { page, page_name, backlinks })
+  })
+
+  // Pages that are linked to but have not been written yet
+  fastify.get('/wiki/special/wanted', async (request, reply) => {
+    const messages = collectMessages(reply)
+    const wanted = new Map()
+    for (const [title, page] of Object.entries(fastify.dataStore.pages)) {
+      for (const target of page.links) {
+        if (Object.hasOwn(fastify.dataStore.pages, target)) continue
+        if (!wanted.has(target)) wanted.set(target, [])
+        wanted.get(target).push(title)
+      }
+    }
+    const pages = [...wanted]
+      .map(([title, linkedFrom]) => ({
+        title,
+        createUrl: `/create?title=${encodeURIComponent(title)}`,
+        linkedFrom: linkedFrom.sort()
+      }))
+      .sort((a, b) => b.linkedFrom.length - a.linkedFrom.length || a.title.localeCompare(b.title))
+    return reply.view('wanted', { pages, messages: messages })
   })
 
   fastify.get('/create', async (request, reply) => {
@@ -30,16 +54,18 @@ module.exports = async (fastify, opts) => {
       request.flash('danger', 'You must be logged in to create a page.')
       return reply.redirect('/login')
     }
-    return reply.view('create_page', { messages: messages })
+    return reply.view('create_page', { messages: messages, title: request.query.title })
   })
 
-  fastify.post('/create', async (request, reply) => {
+  fastify.post('/create', { preHandler: fastify.rateLimit({ max: 20, window: 60 * 60 * 1000, key: 'user' }) }, async (request, reply) => {
     if (!request.session.get('username')) {
       request.flash('danger', 'You must be logged in to create a page.')
       return reply.redirect('/login')
     }
     const { title, content } = request.body
-    fastify.dataStore.pages[title] = { content, author: request.session.get('username') }
-    return reply.redirect(`/wiki/${title}`)
+    const links = fastify.wikiLinksOf(content)
+    fastify.dataStore.pages[title] = { content, links, author: request.session.get('username') }
+    fastify.searchIndex.update(title, content)
+    return reply.redirect(`/wiki/${encodeURIComponent(title)}`)
   })
 }
\ No newline at end of file
@@ -0,0 +1,137 @@
+// Request rate limits. A rule says how many requests a key (an IP address
+// or a user) may make:
+//   { name, algorithm, max, window, key }
+//   'fixed-window' - at most `max` requests per `window` milliseconds,
+//                    counted from the first one
+//   'token-bucket' - bursts of up to `max` requests; the bucket refills
+//                    evenly and is full again `window` milliseconds after
+//                    it was emptied
+//
+// Counters live in a MemoryStore, for this process only.
+
+const SWEEP_INTERVAL = 60 * 1000 // how often expired counters are removed
+
+// What a counter holds:
+//   value - requests so far (fixed window) or tokens left (token bucket)
+//   stamp - when the window ends (fixed window) or when the tokens were
+//           counted (token bucket), in milliseconds
+const algorithms = {
+  'fixed-window': {
+    // The counter after one more request, or null when it is over the limit
+    take(state, rule, now) {
+      if (!state || state.stamp <= now) {
+        return { value: 1, stamp: now + rule.window }
+      }
+      return state.value < rule.max ? { value: state.value + 1, stamp: state.stamp } : null
+    },
+
+    // Milliseconds until the counter may go, and until the next request
+    // would be allowed
+    status(state, rule, now) {
+      const reset = Math.max(0, state.stamp - now)
+      return {
+        remaining: Math.max(0, rule.max - state.value),
+        reset,
+        retryAfter: state.value < rule.max ? 0 : reset
+      }
+    },
+
+    expiresAt: (state, rule) => state.stamp
+  },
+
+  'token-bucket': {
+    take(state, rule, now) {
+      const tokens = available(state, rule, now)
+      return tokens >= 1 ? { value: tokens - 1, stamp: now } : null
+    },
+
+    status(state, rule, now) {
+      const tokens = available(state, rule, now)
+      const perToken = rule.window / rule.max
+      return {
+        remaining: Math.floor(tokens),
+        reset: Math.ceil((rule.max - tokens) * perToken),
+        retryAfter: tokens >= 1 ? 0 : Math.ceil((1 - tokens) * perToken)
+      }
+    },
+
+    // A bucket left alone for a whole window is full, the same as no bucket
+    expiresAt: (state, rule) => state.stamp + rule.window
+  }
+}
+
+// Tokens in the bucket at `now`
+function available(state, rule, now) {
+  if (!state) return rule.max
+  return Math.min(rule.max, state.value + (now - state.stamp) * rule.max / rule.window)
+}
+
+class MemoryStore {
+  constructor() {
+    this.counters = new Map() // key -> { value, stamp, expiresAt }
+    this.sweep = setInterval(() => {
+      const now = Date.now()
+      for (const [key, counter] of this.counters) {
+        if (counter.expiresAt <= now) this.counters.delete(key)
+      }
+    }, SWEEP_INTERVAL)
+    this.sweep.unref()
+  }
+
+  // Count a request; resolves to { allowed, state } with the counter after it
+  async take(key, rule, now) {
+    const algorithm = algorithms[rule.algorithm]
+    const state = this.counters.get(key) || null
+    const next = algorithm.take(state, rule, now)
+    if (!next) {
+      return { allowed: false, state }
+    }
+    this.counters.set(key, { ...next, expiresAt: algorithm.expiresAt(next, rule) })
+    return { allowed: true, state: next }
+  }
+
+  async close() {
+    clearInterval(this.sweep)
+    this.counters.clear()
+  }
+}
+
+class RateLimiter {
+  constructor(store) {
+    this.store = store
+  }
+
+  // Check a rule before it is used, so mistakes show up at startup
+  static validate(rule) {
+    if (!algorithms[rule.algorithm]) {
+      throw new Error(`Unknown rate limit algorithm "${rule.algorithm}"`)
+    }
+    if (!(Number.isInteger(rule.max) && rule.max > 0 && Number.isInteger(rule.window) && rule.window > 0)) {
+      throw new Error('A rate limit needs a positive whole max and window')
+    }
+    return rule
+  }
+
+  // Count a request by `key` against `rule`. Resolves to whether it may go
+  // ahead, with the numbers for the RateLimit-* headers in seconds.
+  async hit(rule, key) {
+    const now = Date.now()
+    const { allowed, state } = await this.store.take(`${rule.name}:${key}`, rule, now)
+    const status = state
+      ? algorithms[rule.algorithm].status(state, rule, now)
+      : { remaining: 0, reset: rule.window, retryAfter: allowed ? 0 : rule.window }
+    return {
+      allowed,
+      limit: rule.max,
+      remaining: status.remaining,
+      reset: Math.ceil(status.reset / 1000),
+      retryAfter: Math.max(1, Math.ceil(status.retryAfter / 1000))
+    }
+  }
+
+  close() {
+    return this.store.close()
+  }
+}
+
+module.exports = { RateLimiter, MemoryStore }
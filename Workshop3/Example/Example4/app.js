@@ -2,26 +2,48 @@ const fastify = require('fastify')({ logger: true })
 
 
 // Plugins
+// Settings from the environment, .env or config.json; see plugins/config.js
+fastify.register(require('./plugins/config'))
 fastify.register(require('./plugins/multipart'))
+fastify.register(require('./plugins/avatars'))
 fastify.register(require('@fastify/formbody'))
 fastify.register(require('./plugins/templates'))
 fastify.register(require('./plugins/static'))
 fastify.register(require('./plugins/session'))
-fastify.register(require('./plugins/db-plugin')); 
+// Options given as a function are read once the config has been loaded
+fastify.register(require('./plugins/db-plugin'), ({ config }) => ({
+  store: config.DATA_STORE,
+  filename: config.DATABASE_STORAGE
+}))
+fastify.register(require('./plugins/rate-limit'), ({ config }) => ({
+  store: config.RATE_LIMIT_STORE,
+  filename: config.DATABASE_STORAGE
+}))
+fastify.register(require('./plugins/attachments'))
 fastify.register(require('./plugins/quill'))
+fastify.register(require('./plugins/sanitize'))
+fastify.register(require('./plugins/search'))
+fastify.register(require('./plugins/slugs'))
+fastify.register(require('./plugins/revisions'))
+fastify.register(require('./plugins/permissions'))
 fastify.register(require('./plugins/404'))
 // Routes
 fastify.register(require('./routes/auth'), { prefix: '/' })
 fastify.register(require('./routes/wiki'), { prefix: '/' })
 fastify.register(require('./routes/profile'), { prefix: '/' })
+fastify.register(require('./routes/search'), { prefix: '/' })
+fastify.register(require('./routes/attachments'), { prefix: '/' })
 fastify.get('/', async (request, reply) => {
   return reply.view('home')
 })
 
 const start = async () => {
   try {
-    await fastify.listen({ port: 3000 })
-    console.log('Server running at http://127.0.0.1:3000')
+    // The port is part of the configuration, which is loaded with the plugins
+    await fastify.ready()
+    const { HOST, PORT } = fastify.config
+    await fastify.listen({ host: HOST, port: PORT })
+    console.log(`Server running at http://${HOST}:${PORT}`)
   } catch (err) {
     fastify.log.error(err)
     process.exit(1)
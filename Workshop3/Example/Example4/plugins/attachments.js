@@ -0,0 +1,48 @@
+const fp = require('fastify-plugin')
+const fs = require('fs')
+const path = require('path')
+
+// Attachments live outside public/ and are only served through the wiki routes
+const ATTACHMENT_FOLDER = path.join(path.dirname(__dirname), 'uploads/attachments')
+
+// Content-Disposition with a plain ASCII fallback name for old browsers
+// and the real (possibly non-ASCII) name in filename*
+function contentDisposition(type, filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_')
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`
+}
+
+async function attachments(fastify, options) {
+  const {
+    folder = ATTACHMENT_FOLDER,
+    allowedMimeTypes = fastify.config.ATTACHMENT_MIME_TYPES,
+    maxFileSize = fastify.config.ATTACHMENT_MAX_FILE_SIZE,
+    maxFiles = fastify.config.ATTACHMENT_MAX_FILES
+  } = options
+  const allowed = new Set(allowedMimeTypes)
+
+  if (!fs.existsSync(folder)) {
+    fs.mkdirSync(folder, { recursive: true })
+  }
+
+  fastify.decorate('attachments', {
+    folder,
+    maxFileSize,
+    maxFiles,
+    isAllowed: mimetype => allowed.has(mimetype),
+    pathOf: attachment => path.join(folder, attachment.storedName),
+    urlOf: (slug, attachment) => `/wiki/${slug}/attachments/${attachment.id}`,
+    contentDisposition,
+    // Remove the files of a page that is being deleted
+    removeAll: async slug => {
+      for (const attachment of await fastify.dataStore.listAttachments(slug)) {
+        await fs.promises.rm(path.join(folder, attachment.storedName), { force: true })
+      }
+    }
+  })
+}
+
+module.exports = fp(attachments, {
+  name: 'attachments',
+  dependencies: ['config', 'multipart', 'data-connector']
+})
@@ -0,0 +1,67 @@
+const fp = require('fastify-plugin')
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const sharp = require('sharp')
+
+const AVATAR_SIZES = [64, 128, 256]
+const MAX_INPUT_PIXELS = 4096 * 4096
+
+const COLORS = ['#2b7cff', '#16a34a', '#ef4444', '#0ea5e9', '#a855f7', '#f59e0b', '#14b8a6', '#ec4899']
+
+function escapeXml(text) {
+  return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`)
+}
+
+async function avatars(fastify, options) {
+  const folder = fastify.UPLOAD_FOLDER
+
+  // Re-encode an uploaded image (file path or buffer) into one PNG per size. Re-encoding drops EXIF data
+  // (GPS position included) and anything hidden after the image data.
+  // Returns the id the files are stored under: <id>-64.png, <id>-128.png, ...
+  fastify.decorate('saveAvatar', async input => {
+    const id = `${Date.now()}_${crypto.randomBytes(6).toString('hex')}`
+    const image = sharp(input, { limitInputPixels: MAX_INPUT_PIXELS }).rotate()
+    await Promise.all(AVATAR_SIZES.map(size =>
+      image.clone()
+        .resize(size, size, { fit: 'cover' })
+        .png()
+        .toFile(path.join(folder, `${id}-${size}.png`))
+    ))
+    return id
+  })
+
+  fastify.decorate('removeAvatar', async id => {
+    if (!id) return
+    await Promise.all(AVATAR_SIZES.map(size =>
+      fs.promises.rm(path.join(folder, `${id}-${size}.png`), { force: true })
+    ))
+  })
+
+  fastify.decorate('avatarUrl', (username, avatar, size = 128) => {
+    if (avatar) return `/static/avatars/${avatar}-${size}.png`
+    return `/avatars/default/${encodeURIComponent(username)}.svg`
+  })
+
+  // Stand-in avatar with the user's initials on a colour picked from their name
+  fastify.decorate('defaultAvatar', username => {
+    const hash = crypto.createHash('sha1').update(username).digest()
+    const color = COLORS[hash[0] % COLORS.length]
+    const initials = username
+      .split(/[\s._-]+/)
+      .filter(Boolean)
+      .slice(0, 2)
+      .map(part => [...part][0].toUpperCase())
+      .join('') || '?'
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="256" height="256" viewBox="0 0 256 256">` +
+      `<rect width="256" height="256" fill="${color}"/>` +
+      `<text x="50%" y="50%" dy=".35em" text-anchor="middle" fill="#fff" ` +
+      `font-family="system-ui, sans-serif" font-size="104" font-weight="600">${escapeXml(initials)}</text>` +
+      `</svg>`
+  })
+}
+
+module.exports = fp(avatars, {
+  name: 'avatars',
+  dependencies: ['multipart']
+})
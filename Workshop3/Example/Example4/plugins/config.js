@@ -0,0 +1,87 @@
+const fp = require('fastify-plugin')
+const fs = require('fs')
+const path = require('path')
+
+// The secret this example ships with; fine on a laptop, never in production
+const EXAMPLE_SECRET = 'c88bb69cca16b53452cf666476f6c6022c87f4f437c74de68d81c63a'
+
+// What may be attached to a page, checked against the type the browser
+// reports. This is separate from ALLOWED_EXTENSIONS, which is for avatars.
+const ATTACHMENT_MIME_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet'
+]
+
+// Every setting of the app. Values come from, in increasing priority:
+// the defaults below, a JSON file (config.json or $CONFIG_FILE), a .env file
+// and the environment, and are checked against this schema at startup.
+// Lists are comma separated strings, e.g. ALLOWED_EXTENSIONS=png,jpg
+const schema = {
+  type: 'object',
+  required: ['SESSION_SECRET'],
+  properties: {
+    NODE_ENV: { type: 'string', enum: ['development', 'production', 'test'], default: 'development' },
+    HOST: { type: 'string', default: 'localhost' },
+    PORT: { type: 'integer', minimum: 0, maximum: 65535, default: 3000 },
+    SESSION_SECRET: { type: 'string', minLength: 32, default: EXAMPLE_SECRET },
+    COOKIE_SECURE: { type: 'boolean', default: false }, // true in production with HTTPS
+    // 'memory' keeps everything in memory and loses it on restart
+    DATA_STORE: { type: 'string', enum: ['memory', 'sqlite'], default: 'sqlite' },
+    DATABASE_STORAGE: { type: 'string', minLength: 1, default: 'database.db' },
+    // 'sqlite' shares the rate limit counters between several processes
+    // through DATABASE_STORAGE; 'memory' is per process
+    RATE_LIMIT_STORE: { type: 'string', enum: ['memory', 'sqlite'], default: 'memory' },
+    // Avatars, and any upload that does not set its own limits
+    UPLOAD_MAX_FILE_SIZE: { type: 'integer', minimum: 1, default: 5 * 1024 * 1024 }, // bytes
+    UPLOAD_MAX_FILES: { type: 'integer', minimum: 1, default: 10 },
+    // Avatar file names must end in one of these. The contents are checked
+    // too, and only png, jpeg and gif are recognised as images.
+    ALLOWED_EXTENSIONS: { type: 'string', separator: ',', default: 'png,jpg,jpeg,gif' },
+    ATTACHMENT_MAX_FILE_SIZE: { type: 'integer', minimum: 1, default: 10 * 1024 * 1024 }, // bytes
+    ATTACHMENT_MAX_FILES: { type: 'integer', minimum: 1, default: 10 },
+    ATTACHMENT_MIME_TYPES: { type: 'string', separator: ',', default: ATTACHMENT_MIME_TYPES.join(',') }
+  }
+}
+
+function readConfigFile() {
+  const file = process.env.CONFIG_FILE || path.join(__dirname, '../config.json')
+  if (!process.env.CONFIG_FILE && !fs.existsSync(file)) {
+    return {}
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+module.exports = fp(async (fastify, opts) => {
+  await fastify.register(require('@fastify/env'), {
+    schema,
+    dotenv: { path: path.join(__dirname, '../.env'), quiet: true },
+    // Later sources win; process.env is read after .env has been loaded into it
+    env: false,
+    data: [readConfigFile(), process.env]
+  })
+
+  const { config } = fastify
+  config.ALLOWED_EXTENSIONS = config.ALLOWED_EXTENSIONS.map(ext => ext.trim().toLowerCase()).filter(Boolean)
+  config.ATTACHMENT_MIME_TYPES = config.ATTACHMENT_MIME_TYPES.map(type => type.trim().toLowerCase()).filter(Boolean)
+
+  if (config.NODE_ENV === 'production') {
+    if (config.SESSION_SECRET === EXAMPLE_SECRET) {
+      throw new Error('SESSION_SECRET is still the example secret; set a random one for production')
+    }
+    if (!config.COOKIE_SECURE) {
+      fastify.log.warn('COOKIE_SECURE is off in production; cookies will be sent over plain HTTP')
+    }
+  }
+}, {
+  name: 'config'
+})
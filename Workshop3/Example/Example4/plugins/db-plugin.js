@@ -1,14 +1,26 @@
 const fp = require('fastify-plugin');
 
-const inMemoryDatabase = {
-  users: {},
-  pages: {}
+// Available storage backends, loaded on demand so the in-memory store
+// works without the native sqlite3 module
+const stores = {
+  memory: () => require('../storage/memory'),
+  sqlite: () => require('../storage/sqlite')
 };
 
 async function dbConnector (fastify, options) {
-  fastify.decorate('dataStore', inMemoryDatabase);
+  const { store = 'memory', ...storeOptions } = options;
+  if (!stores[store]) {
+    throw new Error(`Unknown data store "${store}"`);
+  }
+
+  const Store = stores[store]();
+  const dataStore = new Store(storeOptions);
+  await dataStore.init();
+
+  fastify.decorate('dataStore', dataStore);
+  fastify.addHook('onClose', async () => dataStore.close());
 }
 
 module.exports = fp(dbConnector, {
     name: 'data-connector' 
-});
\ No newline at end of file
+});
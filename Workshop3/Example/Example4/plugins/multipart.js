@@ -1,25 +1,129 @@
 const fp = require('fastify-plugin')
 const path = require('path')
 const fs = require('fs')
+const crypto = require('crypto')
+const { pipeline } = require('stream/promises')
 
 const UPLOAD_FOLDER = path.join(path.dirname(__dirname), 'public/avatars')
+// Uploads that are still being processed, kept out of public/
+const TMP_UPLOAD_FOLDER = path.join(path.dirname(__dirname), 'uploads/tmp')
 
-const ALLOWED_EXTENSIONS = new Set(['png', 'jpg', 'jpeg', 'gif'])
+// What the first bytes of each accepted image format look like
+const IMAGE_SIGNATURES = [
+  { type: 'png', mimetype: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'jpeg', mimetype: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'gif', mimetype: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] } // GIF8
+]
 module.exports = fp(async (fastify, opts) => {
+  const { UPLOAD_MAX_FILE_SIZE: MAX_FILE_SIZE, UPLOAD_MAX_FILES: MAX_FILES } = fastify.config
+  const ALLOWED_EXTENSIONS = new Set(fastify.config.ALLOWED_EXTENSIONS)
+
   await fastify.register(require('@fastify/multipart'), {
     limits: {
-      fileSize: 5 * 1024 * 1024 // 5MB limit
-    },
-    attachFieldsToBody: true // optional: auto attach text fields/files to request.body
+      fileSize: MAX_FILE_SIZE
+    }
+  })
+  for (const folder of [UPLOAD_FOLDER, TMP_UPLOAD_FOLDER]) {
+    if (!fs.existsSync(folder)) {
+      fs.mkdirSync(folder, { recursive: true })
+    }
+  }
+
+  await fastify.decorate('UPLOAD_FOLDER', UPLOAD_FOLDER)
+  await fastify.decorate('TMP_UPLOAD_FOLDER', TMP_UPLOAD_FOLDER)
+  await fastify.decorate('allowedFile', filename => {
+    if (!filename.includes('.')) return false
+    const ext = filename.split('.').pop().toLowerCase()
+    return ALLOWED_EXTENSIONS.has(ext)
+  })
+
+  // Recognise an image by its first bytes; returns its signature or null
+  fastify.decorate('detectImageType', buffer => {
+    return IMAGE_SIGNATURES.find(({ bytes }) =>
+      buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte)) || null
+  })
+
+  // The first bytes of a stored upload, enough for detectImageType()
+  fastify.decorate('readFileHeader', async filepath => {
+    const handle = await fs.promises.open(filepath, 'r')
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(16), 0, 16, 0)
+      return buffer.subarray(0, bytesRead)
+    } finally {
+      await handle.close()
+    }
+  })
+
+  // Stream every file of a multipart request into `folder` without holding
+  // it in memory. Each file is written under a temporary name and only
+  // renamed into place once the whole request went through, so a failed or
+  // oversized upload never leaves partial files behind.
+  // Resolves to { files: [{ fieldname, filename, mimetype, size, storedName, path }], fields }
+  fastify.decorate('streamUploads', async (request, folder, options = {}) => {
+    const { maxFileSize = MAX_FILE_SIZE, maxFiles = MAX_FILES } = options
+    const files = []
+    const fields = {}
+
+    try {
+      const parts = request.parts({ limits: { fileSize: maxFileSize, files: maxFiles } })
+      for await (const part of parts) {
+        if (part.type === 'field') {
+          fields[part.fieldname] = part.value
+          continue
+        }
+        // An empty <input type="file"> still sends a part, without a name
+        if (!part.filename) {
+          part.file.resume()
+          continue
+        }
+
+        const storedName = `${Date.now()}_${crypto.randomBytes(6).toString('hex')}`
+        const file = {
+          fieldname: part.fieldname,
+          filename: path.basename(part.filename),
+          mimetype: part.mimetype,
+          storedName,
+          path: path.join(folder, storedName),
+          tmpPath: path.join(folder, `.${storedName}.part`)
+        }
+        files.push(file)
+        await pipeline(part.file, fs.createWriteStream(file.tmpPath))
+        // Past the limit the rest of the file is skipped, not written
+        if (part.file.truncated) {
+          throw new fastify.multipartErrors.RequestFileTooLargeError()
+        }
+        file.size = (await fs.promises.stat(file.tmpPath)).size
+      }
+
+      for (const file of files) {
+        await fs.promises.rename(file.tmpPath, file.path)
+        delete file.tmpPath
+      }
+    } catch (err) {
+      await Promise.all(files.map(file => fs.promises.rm(file.tmpPath || file.path, { force: true })))
+      err.uploadLimits = { maxFileSize, maxFiles }
+      throw err
+    }
+
+    return { files, fields }
+  })
+
+  // Show a page explaining what went wrong instead of a bare 413 response
+  fastify.setErrorHandler((err, request, reply) => {
+    const { RequestFileTooLargeError, FilesLimitError, PartsLimitError } = fastify.multipartErrors
+    const { maxFileSize = MAX_FILE_SIZE, maxFiles = MAX_FILES } = err.uploadLimits || {}
+    let message = null
+    if (err instanceof RequestFileTooLargeError) {
+      message = `Files can be at most ${(maxFileSize / (1024 * 1024)).toFixed(1)} MB.`
+    } else if (err instanceof FilesLimitError || err instanceof PartsLimitError) {
+      message = `You can upload at most ${maxFiles} file${maxFiles === 1 ? '' : 's'} at once.`
+    }
+    if (!message) {
+      return reply.send(err)
+    }
+    return reply.code(413).view('upload_error', { title: 'Upload too large', message })
   })
-  if (!fs.existsSync(UPLOAD_FOLDER)) {
-  fs.mkdirSync(UPLOAD_FOLDER, { recursive: true })
-}
-
-await fastify.decorate('UPLOAD_FOLDER', UPLOAD_FOLDER)
-await fastify.decorate('allowedFile', filename => {
-  if (!filename.includes('.')) return false
-  const ext = filename.split('.').pop().toLowerCase()
-  return ALLOWED_EXTENSIONS.has(ext)
+}, {
+  name: 'multipart',
+  dependencies: ['config']
 })
-})
\ No newline at end of file
@@ -0,0 +1,19 @@
+const fp = require('fastify-plugin')
+
+async function permissions(fastify, options) {
+  fastify.decorate('isAdmin', async username => {
+    const user = await fastify.dataStore.getUser(username)
+    return Boolean(user) && user.role === 'admin'
+  })
+
+  // Only the original author of a page and admins may change or remove it
+  fastify.decorate('canModifyPage', async (username, page) => {
+    if (!username || !page) return false
+    return page.author === username || fastify.isAdmin(username)
+  })
+}
+
+module.exports = fp(permissions, {
+  name: 'permissions',
+  dependencies: ['data-connector']
+})
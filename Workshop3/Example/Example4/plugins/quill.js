@@ -15,7 +15,7 @@ module.exports = fp(async (fastify, opts) => {
       toolbar: [
         [{ 'header': [1, 2, false] }],
         ['bold', 'italic', 'underline'],
-        ['link', 'blockquote'],
+        ['link', 'image', 'blockquote'],
         [{ 'list': 'ordered'}, { 'list': 'bullet' }],
         [{ 'indent': '-1'}, { 'indent': '+1' }],
         ['clean']
@@ -23,4 +23,6 @@ module.exports = fp(async (fastify, opts) => {
     },
     theme: 'snow'
   })
+}, {
+  name: 'quill'
 })
\ No newline at end of file
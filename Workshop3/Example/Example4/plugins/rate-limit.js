@@ -0,0 +1,99 @@
+const fp = require('fastify-plugin')
+const { RateLimiter, MemoryStore, SqliteStore } = require('../storage/rate-limit')
+
+const BUSY_TIMEOUT = 5000 // milliseconds to wait for a write lock
+
+// Who a rule counts requests for
+const keys = {
+  ip: request => `ip:${request.ip}`,
+  // The logged in user, else the IP address
+  user: request => {
+    const username = request.session.get('username')
+    return username ? `user:${username}` : keys.ip(request)
+  }
+}
+
+// How long to wait, in words
+function waitText(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`
+  }
+  const minutes = Math.ceil(seconds / 60)
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`
+}
+
+// A connection of its own to a SQLite file for the sqlite store, which waits
+// for other processes writing the file instead of failing at once
+function openDatabase(filename) {
+  const sqlite3 = require('sqlite3')
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(filename, err => {
+      if (err) return reject(err)
+      db.configure('busyTimeout', BUSY_TIMEOUT)
+      resolve({
+        query: (sql, params = []) => new Promise((resolve, reject) => {
+          db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)))
+        }),
+        close: () => new Promise(resolve => db.close(() => resolve()))
+      })
+    })
+  })
+}
+
+// Limits on how often a client may call a route, e.g.
+//   { preHandler: fastify.rateLimit({ max: 5, window: 60 * 60 * 1000 }) }
+// A rule (see storage/rate-limit.js) takes:
+//   name      - routes with the same name share a counter; by default every
+//               route has its own
+//   algorithm - 'fixed-window' (default) or 'token-bucket'
+//   max       - requests allowed per window
+//   window    - milliseconds
+//   key       - 'ip' (default), 'user' or a function of the request
+// Every response says where the client stands in RateLimit-Limit,
+// RateLimit-Remaining and RateLimit-Reset. Past the limit the client gets
+// the "slow down" page, with status 429 and Retry-After.
+//
+// Options: { store: 'memory' } counts for this process only;
+// { store: 'sqlite', filename } shares the counters through a SQLite file
+// between every process that uses it.
+async function rateLimit (fastify, options) {
+  const { store = 'memory', filename = 'database.db' } = options
+  if (store !== 'memory' && store !== 'sqlite') {
+    throw new Error(`Unknown rate limit store "${store}"`)
+  }
+
+  let db = null
+  if (store === 'sqlite') {
+    db = await openDatabase(filename)
+    await db.query(SqliteStore.SCHEMA)
+  }
+  const limiter = new RateLimiter(db ? new SqliteStore(db) : new MemoryStore())
+  fastify.addHook('onClose', async () => {
+    await limiter.close()
+    if (db) await db.close()
+  })
+
+  fastify.decorate('rateLimit', options => {
+    const rule = RateLimiter.validate({ algorithm: 'fixed-window', key: 'ip', ...options })
+    const keyOf = typeof rule.key === 'function' ? rule.key : keys[rule.key]
+    if (!keyOf) {
+      throw new Error(`Unknown rate limit key "${rule.key}"`)
+    }
+
+    return async (request, reply) => {
+      const name = rule.name || `${request.method} ${request.routeOptions.url}`
+      const result = await limiter.hit({ ...rule, name }, keyOf(request))
+      reply.header('ratelimit-limit', result.limit)
+      reply.header('ratelimit-remaining', result.remaining)
+      reply.header('ratelimit-reset', result.reset)
+      if (result.allowed) return
+
+      reply.header('retry-after', result.retryAfter)
+      return reply.code(429).view('429', { wait: waitText(result.retryAfter) })
+    }
+  })
+}
+
+module.exports = fp(rateLimit, {
+  name: 'rate-limit'
+})
@@ -0,0 +1,51 @@
+const fp = require('fastify-plugin')
+const Diff = require('diff')
+
+// Quill stores a whole page as a single line of HTML, so break it after
+// every block element to get something a line diff can work with
+function toLines(html) {
+  return html
+    .replace(/(<\/(p|h[1-6]|li|ol|ul|blockquote|pre)>)/g, '$1\n')
+    .replace(/\n?$/, '\n')
+}
+
+async function revisions(fastify, options) {
+  fastify.decorate('createPage', async (title, content, author) => {
+    const slug = await fastify.uniqueSlug(title)
+    await fastify.dataStore.createPage({ slug, title, author })
+    await fastify.savePage(slug, content, author)
+    return fastify.dataStore.getPage(slug)
+  })
+
+  // Record a new revision and make it the current content of the page
+  fastify.decorate('savePage', async (slug, content, author) => {
+    content = fastify.sanitizeHtml(content)
+    const revision = await fastify.dataStore.addRevision(slug, {
+      author,
+      timestamp: new Date().toISOString(),
+      content
+    })
+    await fastify.dataStore.updatePage(slug, { content })
+    const page = await fastify.dataStore.getPage(slug)
+    fastify.searchIndex.update(slug, page.title, content)
+    return revision
+  })
+
+  // Unified line diff between two revisions, ready for the diff template
+  fastify.decorate('diffRevisions', (from, to) => {
+    const lines = []
+    for (const part of Diff.diffLines(toLines(from.content), toLines(to.content))) {
+      const type = part.added ? 'added' : part.removed ? 'removed' : 'unchanged'
+      const sign = part.added ? '+' : part.removed ? '-' : ' '
+      for (const text of part.value.replace(/\n$/, '').split('\n')) {
+        lines.push({ type, sign, text })
+      }
+    }
+    return lines
+  })
+}
+
+module.exports = fp(revisions, {
+  name: 'revisions',
+  dependencies: ['data-connector', 'sanitize', 'search', 'slugs']
+})
@@ -0,0 +1,85 @@
+const fp = require('fastify-plugin')
+const sanitizeHtml = require('sanitize-html')
+
+const SAFE_SCHEMES = ['http', 'https', 'mailto', 'tel']
+
+// Images may only come from files attached to a wiki page
+const ATTACHMENT_URL = /^\/wiki\/[a-z0-9-]+\/attachments\/\d+$/
+
+// What each Quill toolbar format turns into in the editor's HTML
+const FORMATS = {
+  header: levels => ({ tags: levels.filter(Boolean).map(level => `h${level}`) }),
+  bold: () => ({ tags: ['strong'] }),
+  italic: () => ({ tags: ['em'] }),
+  underline: () => ({ tags: ['u'] }),
+  link: () => ({ tags: ['a'], attributes: { a: ['href', 'rel', 'target'] } }),
+  blockquote: () => ({ tags: ['blockquote'] }),
+  image: () => ({ tags: ['img'], attributes: { img: ['src', 'alt'] } }),
+  list: values => ({ tags: ['ol', 'li'], attributes: { li: [{ name: 'data-list', values }] } }),
+  indent: () => ({ classes: ['ql-indent-*'] })
+}
+
+// Walk the toolbar definition and collect every format with its options,
+// e.g. { header: [1, 2, false], list: ['ordered', 'bullet'], bold: [] }
+function toolbarFormats(toolbar) {
+  const formats = {}
+  for (const group of toolbar) {
+    for (const item of [].concat(group)) {
+      if (typeof item === 'string') {
+        formats[item] = formats[item] || []
+        continue
+      }
+      for (const [name, value] of Object.entries(item)) {
+        formats[name] = (formats[name] || []).concat(value)
+      }
+    }
+  }
+  return formats
+}
+
+function buildOptions(toolbar) {
+  const allowedTags = ['p', 'br']
+  const allowedAttributes = {}
+  const blockClasses = []
+
+  for (const [name, values] of Object.entries(toolbarFormats(toolbar))) {
+    if (!FORMATS[name]) continue
+    const { tags = [], attributes = {}, classes = [] } = FORMATS[name](values)
+    allowedTags.push(...tags)
+    for (const [tag, attrs] of Object.entries(attributes)) {
+      allowedAttributes[tag] = (allowedAttributes[tag] || []).concat(attrs)
+    }
+    blockClasses.push(...classes)
+  }
+
+  // Indentation is a class Quill puts on block-level elements
+  const allowedClasses = {}
+  if (blockClasses.length) {
+    for (const tag of ['p', 'li', 'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']) {
+      allowedClasses[tag] = blockClasses
+    }
+  }
+
+  return {
+    allowedTags,
+    allowedAttributes,
+    allowedClasses,
+    allowedSchemes: SAFE_SCHEMES,
+    allowProtocolRelative: false,
+    transformTags: {
+      a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer', target: '_blank' })
+    },
+    exclusiveFilter: frame => frame.tag === 'img' && !ATTACHMENT_URL.test(frame.attribs.src || '')
+  }
+}
+
+async function sanitize(fastify, options) {
+  const sanitizeOptions = buildOptions(fastify.quillConfig.modules.toolbar)
+
+  fastify.decorate('sanitizeHtml', html => sanitizeHtml(html || '', sanitizeOptions))
+}
+
+module.exports = fp(sanitize, {
+  name: 'sanitize',
+  dependencies: ['quill']
+})
@@ -0,0 +1,71 @@
+const fp = require('fastify-plugin')
+const slugify = require('slugify')
+
+function toSlug(title) {
+  // Path separators would otherwise be dropped and glue words together
+  const slug = slugify(title.replace(/[\/\\?#]+/g, ' '), { lower: true, strict: true })
+  return slug || 'page'
+}
+
+async function slugs(fastify, options) {
+  const store = fastify.dataStore
+
+  // A slug for `title` that no other page is using yet (my-page, my-page-2, ...)
+  fastify.decorate('uniqueSlug', async (title, ownSlug) => {
+    const base = toSlug(title)
+    let slug = base
+    for (let n = 2; slug !== ownSlug && await store.getPage(slug); n++) {
+      slug = `${base}-${n}`
+    }
+    return slug
+  })
+
+  // Work out where a /wiki/:page_name URL should go. Returns the page when
+  // the name is its canonical slug, or the slug to redirect to when the name
+  // is an old slug, a title or a not quite canonical spelling of a slug
+  fastify.decorate('resolvePage', async name => {
+    const page = await store.getPage(name)
+    if (page) return { page }
+    const redirect = await store.getRedirect(name)
+    if (redirect) return { redirect }
+    const byTitle = await store.findPageByTitle(name)
+    if (byTitle) return { redirect: byTitle.slug }
+    if (await store.getPage(toSlug(name))) return { redirect: toSlug(name) }
+    return {}
+  })
+
+  // Give a page a new title, moving it to a new slug if needed and keeping
+  // the old slug and title around as redirects
+  fastify.decorate('renamePage', async (slug, title) => {
+    const page = await store.getPage(slug)
+    if (title === page.title) return page
+
+    const newSlug = await fastify.uniqueSlug(title, slug)
+    await store.setRedirect(page.title, newSlug)
+    await store.deleteRedirect(title)
+    await store.updatePage(slug, { slug: newSlug, title })
+    if (newSlug !== slug) {
+      await store.deleteRedirect(newSlug)
+      await store.retargetRedirects(slug, newSlug)
+      await store.setRedirect(slug, newSlug)
+      fastify.searchIndex.remove(slug)
+    }
+    fastify.searchIndex.update(newSlug, title, page.content)
+    return store.getPage(newSlug)
+  })
+
+  // Send old slugs, titles and other spellings of a page name to its canonical URL
+  fastify.addHook('preHandler', async (request, reply) => {
+    const page_name = request.params && request.params.page_name
+    if (page_name === undefined || request.method !== 'GET') return
+    const { redirect } = await fastify.resolvePage(page_name)
+    if (redirect) {
+      return reply.redirect(request.url.replace(/^\/wiki\/[^/?]*/, `/wiki/${redirect}`), 301)
+    }
+  })
+}
+
+module.exports = fp(slugs, {
+  name: 'slugs',
+  dependencies: ['data-connector', 'search']
+})
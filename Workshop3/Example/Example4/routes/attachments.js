@@ -0,0 +1,128 @@
+const fs = require('fs')
+const collectMessages = require('../utils')
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+module.exports = async (fastify, opts) => {
+  const wantsJson = request => (request.headers.accept || '').includes('application/json')
+
+  fastify.get('/wiki/:page_name/attachments', async (request, reply) => {
+    const { page_name } = request.params
+    const page = await fastify.dataStore.getPage(page_name)
+    const messages = collectMessages(reply)
+    if (!page) {
+      return reply.code(404).view('404', { messages: messages })
+    }
+    const attachments = (await fastify.dataStore.listAttachments(page_name)).map(attachment => ({
+      ...attachment,
+      url: fastify.attachments.urlOf(page_name, attachment),
+      displaySize: formatSize(attachment.size)
+    }))
+    const canModify = await fastify.canModifyPage(request.session.get('username'), page)
+    return reply.view('attachments', { page, page_name, attachments, canModify, messages: messages })
+  })
+
+  fastify.post('/wiki/:page_name/attachments', async (request, reply) => {
+    const { page_name } = request.params
+    const username = request.session.get('username')
+    if (!username) {
+      request.flash('danger', 'You must be logged in to attach files.')
+      return reply.redirect('/login')
+    }
+    const page = await fastify.dataStore.getPage(page_name)
+    if (!page) {
+      return reply.code(404).view('404', { messages: collectMessages(reply) })
+    }
+    if (!(await fastify.canModifyPage(username, page))) {
+      return reply.code(403).view('403', { messages: collectMessages(reply) })
+    }
+
+    const { maxFileSize, maxFiles } = fastify.attachments
+    const { files } = await fastify.streamUploads(request, fastify.attachments.folder, { maxFileSize, maxFiles })
+    const saved = []
+    const rejected = []
+    for (const file of files) {
+      let mimetype = file.mimetype
+      // Images get embedded and shown inline, so make sure they really are images
+      if (mimetype.startsWith('image/')) {
+        const image = fastify.detectImageType(await fastify.readFileHeader(file.path))
+        mimetype = image ? image.mimetype : null
+      }
+      if (!mimetype || !fastify.attachments.isAllowed(mimetype)) {
+        rejected.push(file.filename)
+        await fs.promises.rm(file.path, { force: true })
+        continue
+      }
+      const attachment = await fastify.dataStore.addAttachment(page_name, {
+        filename: file.filename,
+        storedName: file.storedName,
+        mimetype,
+        size: file.size,
+        uploader: username,
+        timestamp: new Date().toISOString()
+      })
+      saved.push({
+        id: attachment.id,
+        filename: attachment.filename,
+        mimetype: attachment.mimetype,
+        size: attachment.size,
+        url: fastify.attachments.urlOf(page_name, attachment)
+      })
+    }
+
+    if (wantsJson(request)) {
+      return reply.code(saved.length ? 201 : 400).send({ attachments: saved, rejected })
+    }
+    if (saved.length) {
+      request.flash('success', `Attached ${saved.map(file => file.filename).join(', ')}.`)
+    }
+    if (rejected.length) {
+      request.flash('danger', `File type not allowed: ${rejected.join(', ')}.`)
+    }
+    if (!saved.length && !rejected.length) {
+      request.flash('danger', 'No file selected.')
+    }
+    return reply.redirect(`/wiki/${page_name}/attachments`)
+  })
+
+  fastify.get('/wiki/:page_name/attachments/:id', async (request, reply) => {
+    const { page_name, id } = request.params
+    const attachment = await fastify.dataStore.getAttachment(page_name, Number(id))
+    if (!attachment) {
+      return reply.code(404).view('404', { messages: collectMessages(reply) })
+    }
+    // Only verified images are shown in the browser, everything else is downloaded
+    const inline = attachment.mimetype.startsWith('image/') && request.query.download === undefined
+    return reply
+      .type(attachment.mimetype)
+      .header('Content-Length', attachment.size)
+      .header('Content-Disposition', fastify.attachments.contentDisposition(inline ? 'inline' : 'attachment', attachment.filename))
+      .header('X-Content-Type-Options', 'nosniff')
+      .send(fs.createReadStream(fastify.attachments.pathOf(attachment)))
+  })
+
+  fastify.post('/wiki/:page_name/attachments/:id/delete', async (request, reply) => {
+    const { page_name, id } = request.params
+    const username = request.session.get('username')
+    if (!username) {
+      request.flash('danger', 'You must be logged in to delete attachments.')
+      return reply.redirect('/login')
+    }
+    const page = await fastify.dataStore.getPage(page_name)
+    const attachment = page && await fastify.dataStore.getAttachment(page_name, Number(id))
+    if (!attachment) {
+      return reply.code(404).view('404', { messages: collectMessages(reply) })
+    }
+    if (!(await fastify.canModifyPage(username, page))) {
+      return reply.code(403).view('403', { messages: collectMessages(reply) })
+    }
+    await fastify.dataStore.deleteAttachment(page_name, attachment.id)
+    await fs.promises.rm(fastify.attachments.pathOf(attachment), { force: true })
+    request.flash('success', `Deleted ${attachment.filename}.`)
+    return reply.redirect(`/wiki/${page_name}/attachments`)
+  })
+}
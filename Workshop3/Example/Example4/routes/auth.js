@@ -1,22 +1,29 @@
 const argon2 = require('argon2')
 const collectMessages = require('../utils')
 
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
 
 module.exports = async (fastify, opts) => {
+  const loginLimit = fastify.rateLimit({ algorithm: 'token-bucket', max: 10, window: MINUTE })
+  const registerLimit = fastify.rateLimit({ max: 5, window: HOUR })
+
   fastify.get('/register', async (request, reply) => {
     messages = collectMessages(reply)
     return reply.view('register', { messages: messages})
   })
 
-  fastify.post('/register', async (request, reply) => {
+  fastify.post('/register', { preHandler: registerLimit }, async (request, reply) => {
     const { username, password } = request.body
 
-    if (fastify.dataStore.users[username]) {
+    if (await fastify.dataStore.getUser(username)) {
       request.flash('danger', 'Username already exists!')
       return reply.redirect('/register')
     }
     const hashedPassword = await argon2.hash(password)
-    fastify.dataStore.users[username] = { password: hashedPassword, avatar: null }
+    // The first account becomes the wiki administrator
+    const role = await fastify.dataStore.countUsers() === 0 ? 'admin' : 'user'
+    await fastify.dataStore.createUser({ username, password: hashedPassword, role })
     request.flash('success', 'Registration successful! Please log in.')
     return reply.redirect('/login')
   })
@@ -27,9 +34,9 @@ module.exports = async (fastify, opts) => {
     return reply.view('login', { messages: messages })
   })
 
-  fastify.post('/login', async (request, reply) => {
+  fastify.post('/login', { preHandler: loginLimit }, async (request, reply) => {
     const { username, password } = request.body
-    const user = fastify.dataStore.users[username]
+    const user = await fastify.dataStore.getUser(username)
 
     if (user && await argon2.verify(user.password, password)) {
       request.session.set('username', username)
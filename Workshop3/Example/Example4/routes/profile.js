@@ -1,5 +1,4 @@
-const fs = require('fs');
-const path = require('path');
+const fs = require('fs')
 const collectMessages = require('../utils')
 
 module.exports = async (fastify, opts) => {
@@ -8,9 +7,10 @@ module.exports = async (fastify, opts) => {
       request.flash('danger', 'You must be logged in to view your profile.')
       return reply.redirect('/login')
     }
-    const user = fastify.dataStore.users[request.session.get('username')]
+    const user = await fastify.dataStore.getUser(request.session.get('username'))
+    const avatarUrl = fastify.avatarUrl(user.username, user.avatar, 256)
     messages = collectMessages(reply)
-    return reply.view('profile', { user, messages: messages })
+    return reply.view('profile', { user, avatarUrl, messages: messages })
   })
 
 
@@ -20,25 +20,43 @@ module.exports = async (fastify, opts) => {
       return reply.redirect('/login')
     }
 
-    const file = await request.body.avatar
-    
-    if (!file) {
-      request.flash('danger', 'No file selected.')
-      return reply.redirect('/profile')
-    }
+    const { files } = await fastify.streamUploads(request, fastify.TMP_UPLOAD_FOLDER, { maxFiles: 1 })
+    const file = files.find(file => file.fieldname === 'avatar')
+
+    let avatar
+    try {
+      if (!file) {
+        request.flash('danger', 'No file selected.')
+        return reply.redirect('/profile')
+      }
 
-    if (!fastify.allowedFile(file.filename)) {
-      request.flash('danger', 'Invalid file type. Allowed: png, jpg, jpeg, gif.')
+      // The extension must be allowed, but only the file contents prove it
+      // is an image; the name is whatever the browser sent
+      if (!fastify.allowedFile(file.filename) || !fastify.detectImageType(await fastify.readFileHeader(file.path))) {
+        request.flash('danger', `Invalid file type. Allowed: ${fastify.config.ALLOWED_EXTENSIONS.join(', ')}.`)
+        return reply.redirect('/profile')
+      }
+      avatar = await fastify.saveAvatar(file.path)
+    } catch (err) {
+      request.log.warn(err, 'Failed to process avatar')
+      request.flash('danger', 'That image could not be processed.')
       return reply.redirect('/profile')
+    } finally {
+      await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })))
     }
 
-    const filename = `${Date.now()}_${file.filename}`
-    const filepath = path.join(fastify.UPLOAD_FOLDER, filename)
-    await fs.promises.writeFile(filepath, file._buf);
-       
-
-    fastify.dataStore.users[request.session.get('username')].avatar = filename
+    const user = await fastify.dataStore.getUser(request.session.get('username'))
+    await fastify.dataStore.updateUser(user.username, { avatar })
+    await fastify.removeAvatar(user.avatar)
     request.flash('success', 'Avatar updated!')
     return reply.redirect('/profile')
   })
-}
\ No newline at end of file
+
+  fastify.get('/avatars/default/:name', async (request, reply) => {
+    const username = request.params.name.replace(/\.svg$/, '')
+    return reply
+      .type('image/svg+xml')
+      .header('Cache-Control', 'public, max-age=86400')
+      .send(fastify.defaultAvatar(username))
+  })
+}
@@ -0,0 +1,22 @@
+const collectMessages = require('../utils')
+
+module.exports = async (fastify, opts) => {
+  const searchSchema = {
+    querystring: {
+      type: 'object',
+      properties: {
+        q: { type: 'string', maxLength: 200 }
+      }
+    }
+  }
+
+  // Searching is cheap, but not free; bursts are fine
+  const searchLimit = fastify.rateLimit({ algorithm: 'token-bucket', max: 30, window: 60 * 1000, key: 'user' })
+
+  fastify.get('/search', { schema: searchSchema, preHandler: searchLimit }, async (request, reply) => {
+    const q = (request.query.q || '').trim()
+    const results = q ? fastify.searchIndex.query(q) : []
+    const messages = collectMessages(reply)
+    return reply.view('search', { q, results, messages: messages })
+  })
+}
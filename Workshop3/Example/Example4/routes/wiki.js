@@ -1,6 +1,7 @@
 const collectMessages = require('../utils')
 module.exports = async (fastify, opts) => {
-  const createSchema = {
+  // The page form, for creating and for editing
+  const pageSchema = {
     body: {
       type: 'object',
       required: ['title', 'content'],
@@ -11,15 +12,168 @@ module.exports = async (fastify, opts) => {
     }
   }
 
+  const diffSchema = {
+    querystring: {
+      type: 'object',
+      properties: {
+        from: { type: 'integer', minimum: 1 },
+        to: { type: 'integer', minimum: 1 }
+      }
+    }
+  }
+
   fastify.get('/wiki/:page_name', async (request, reply) => {
     const { page_name } = request.params
-    const page = fastify.dataStore.pages[page_name]
+    const page = await fastify.dataStore.getPage(page_name)
     messages = collectMessages(reply)
     if (!page) {
       return reply.view('404', { messages: messages })
     }
-    page.html_content = page.content
-    return reply.view('wiki_page', { page, page_name })
+    page.html_content = fastify.sanitizeHtml(page.content)
+    const canModify = await fastify.canModifyPage(request.session.get('username'), page)
+    return reply.view('wiki_page', { page, page_name, canModify, messages: messages })
+  })
+
+  fastify.get('/wiki/:page_name/edit', async (request, reply) => {
+    const { page_name } = request.params
+    const username = request.session.get('username')
+    if (!username) {
+      request.flash('danger', 'You must be logged in to edit a page.')
+      return reply.redirect('/login')
+    }
+    const page = await fastify.dataStore.getPage(page_name)
+    const messages = collectMessages(reply)
+    if (!page) {
+      return reply.code(404).view('404', { messages: messages })
+    }
+    if (!(await fastify.canModifyPage(username, page))) {
+      return reply.code(403).view('403', { messages: messages })
+    }
+    // Images already attached to the page, offered for embedding in the editor
+    const images = (await fastify.dataStore.listAttachments(page_name))
+      .filter(attachment => attachment.mimetype.startsWith('image/'))
+      .map(attachment => ({ filename: attachment.filename, url: fastify.attachments.urlOf(page_name, attachment) }))
+    return reply.view('edit_page', { page, page_name, images, messages: messages, quillConfig: JSON.stringify(fastify.quillConfig) })
+  })
+
+  fastify.post('/wiki/:page_name/edit', { schema: pageSchema }, async (request, reply) => {
+    const { page_name } = request.params
+    const username = request.session.get('username')
+    if (!username) {
+      request.flash('danger', 'You must be logged in to edit a page.')
+      return reply.redirect('/login')
+    }
+    const page = await fastify.dataStore.getPage(page_name)
+    if (!page) {
+      return reply.code(404).view('404', { messages: collectMessages(reply) })
+    }
+    if (!(await fastify.canModifyPage(username, page))) {
+      return reply.code(403).view('403', { messages: collectMessages(reply) })
+    }
+    const { title, content } = request.body
+    const existing = await fastify.dataStore.findPageByTitle(title)
+    if (existing && existing.slug !== page.slug) {
+      request.flash('danger', 'A page with that title already exists.')
+      return reply.redirect(`/wiki/${page_name}/edit`)
+    }
+    const renamed = await fastify.renamePage(page_name, title)
+    if (fastify.sanitizeHtml(content) !== page.content) {
+      await fastify.savePage(renamed.slug, content, username)
+    }
+    request.flash('success', 'Page updated!')
+    return reply.redirect(`/wiki/${renamed.slug}`)
+  })
+
+  fastify.post('/wiki/:page_name/delete', async (request, reply) => {
+    const { page_name } = request.params
+    const username = request.session.get('username')
+    if (!username) {
+      request.flash('danger', 'You must be logged in to delete a page.')
+      return reply.redirect('/login')
+    }
+    const page = await fastify.dataStore.getPage(page_name)
+    if (!page) {
+      return reply.code(404).view('404', { messages: collectMessages(reply) })
+    }
+    if (!(await fastify.canModifyPage(username, page))) {
+      return reply.code(403).view('403', { messages: collectMessages(reply) })
+    }
+    await fastify.attachments.removeAll(page_name)
+    await fastify.dataStore.deletePage(page_name)
+    fastify.searchIndex.remove(page_name)
+    request.flash('success', `Page "${page.title}" deleted.`)
+    return reply.redirect('/')
+  })
+
+  fastify.get('/wiki/:page_name/history', async (request, reply) => {
+    const { page_name } = request.params
+    const page = await fastify.dataStore.getPage(page_name)
+    const messages = collectMessages(reply)
+    if (!page) {
+      return reply.code(404).view('404', { messages: messages })
+    }
+    // Preselect the latest change so "Compare" works without picking anything
+    const history = await fastify.dataStore.listRevisions(page_name)
+    const latest = history.length
+    const revisions = history.reverse().map(revision => ({
+      ...revision,
+      from: revision.id === Math.max(latest - 1, 1),
+      to: revision.id === latest
+    }))
+    return reply.view('history', { page, page_name, revisions, messages: messages })
+  })
+
+  fastify.get('/wiki/:page_name/revisions/:rev', async (request, reply) => {
+    const { page_name, rev } = request.params
+    const page = await fastify.dataStore.getPage(page_name)
+    const revision = page && await fastify.dataStore.getRevision(page_name, Number(rev))
+    const messages = collectMessages(reply)
+    if (!revision) {
+      return reply.code(404).view('404', { messages: messages })
+    }
+    const latest = revision.id === (await fastify.dataStore.listRevisions(page_name)).length
+    const html_content = fastify.sanitizeHtml(revision.content)
+    const canModify = await fastify.canModifyPage(request.session.get('username'), page)
+    return reply.view('revision', { page, page_name, revision, html_content, latest, canModify, messages: messages })
+  })
+
+  fastify.get('/wiki/:page_name/diff', { schema: diffSchema }, async (request, reply) => {
+    const { page_name } = request.params
+    const page = await fastify.dataStore.getPage(page_name)
+    const messages = collectMessages(reply)
+    if (!page) {
+      return reply.code(404).view('404', { messages: messages })
+    }
+    const revisions = await fastify.dataStore.listRevisions(page_name)
+    const to = request.query.to || revisions.length
+    const from = request.query.from || Math.max(to - 1, 1)
+    const oldRevision = revisions[from - 1]
+    const newRevision = revisions[to - 1]
+    if (!oldRevision || !newRevision) {
+      return reply.code(404).view('404', { messages: messages })
+    }
+    const lines = fastify.diffRevisions(oldRevision, newRevision)
+    return reply.view('diff', { page, page_name, oldRevision, newRevision, lines, messages: messages })
+  })
+
+  fastify.post('/wiki/:page_name/revert/:rev', async (request, reply) => {
+    const { page_name, rev } = request.params
+    const username = request.session.get('username')
+    if (!username) {
+      request.flash('danger', 'You must be logged in to revert a page.')
+      return reply.redirect('/login')
+    }
+    const page = await fastify.dataStore.getPage(page_name)
+    const revision = page && await fastify.dataStore.getRevision(page_name, Number(rev))
+    if (!revision) {
+      return reply.code(404).view('404', { messages: collectMessages(reply) })
+    }
+    if (!(await fastify.canModifyPage(username, page))) {
+      return reply.code(403).view('403', { messages: collectMessages(reply) })
+    }
+    await fastify.savePage(page_name, revision.content, username)
+    request.flash('success', `Reverted to revision ${revision.id}.`)
+    return reply.redirect(`/wiki/${page_name}`)
   })
 
   fastify.get('/create', async (request, reply) => {
@@ -31,13 +185,18 @@ module.exports = async (fastify, opts) => {
     return reply.view('create_page', { messages: messages ,quillConfig: JSON.stringify(fastify.quillConfig) })
   })
 
-  fastify.post('/create', async (request, reply) => {
+  fastify.post('/create', { schema: pageSchema, preHandler: fastify.rateLimit({ max: 20, window: 60 * 60 * 1000, key: 'user' }) }, async (request, reply) => {
     if (!request.session.get('username')) {
       request.flash('danger', 'You must be logged in to create a page.')
       return reply.redirect('/login')
     }
     const { title, content } = request.body
-    fastify.dataStore.pages[title] = { content, author: request.session.get('username') }
-    return reply.redirect(`/wiki/${title}`)
+    const existing = await fastify.dataStore.findPageByTitle(title)
+    if (existing) {
+      request.flash('danger', 'A page with that title already exists.')
+      return reply.redirect(`/wiki/${existing.slug}`)
+    }
+    const page = await fastify.createPage(title, content, request.session.get('username'))
+    return reply.redirect(`/wiki/${page.slug}`)
   })
-}
\ No newline at end of file
+}
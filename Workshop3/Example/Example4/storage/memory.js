@@ -0,0 +1,138 @@
+// Keeps everything in Maps, so all data is gone after a restart. Maps, not
+// plain objects, because keys are usernames and slugs chosen by users, and
+// one like "__proto__" or "constructor" must not reach Object.prototype.
+//
+// Every store implements the same async methods, which is all the plugins
+// and routes are allowed to use:
+//   users:     getUser, countUsers, createUser, updateUser
+//   pages:     getPage, findPageByTitle, listPages, createPage, updatePage, deletePage
+//   revisions: listRevisions, getRevision, addRevision
+//   redirects: getRedirect, setRedirect, deleteRedirect, retargetRedirects
+//   attachments: listAttachments, getAttachment, addAttachment, deleteAttachment
+// Objects handed out are copies; change data through the methods only.
+class MemoryStore {
+  constructor(options = {}) {
+    this.users = new Map()
+    this.pages = new Map()
+    this.revisions = new Map() // slug -> [revision]
+    this.redirects = new Map() // old slug or title -> current slug
+    this.attachments = new Map() // slug -> [attachment]
+    this.nextAttachmentId = 1
+  }
+
+  async init() {}
+
+  async close() {}
+
+  async getUser(username) {
+    const user = this.users.get(username)
+    return user ? { ...user } : null
+  }
+
+  async countUsers() {
+    return this.users.size
+  }
+
+  async createUser({ username, password, role = 'user', avatar = null }) {
+    this.users.set(username, { username, password, role, avatar })
+  }
+
+  async updateUser(username, fields) {
+    Object.assign(this.users.get(username), fields)
+  }
+
+  async getPage(slug) {
+    const page = this.pages.get(slug)
+    return page ? { ...page } : null
+  }
+
+  async findPageByTitle(title) {
+    const page = [...this.pages.values()].find(page => page.title === title)
+    return page ? { ...page } : null
+  }
+
+  async listPages() {
+    return [...this.pages.values()].map(page => ({ ...page }))
+  }
+
+  async createPage({ slug, title, author, content = '' }) {
+    this.pages.set(slug, { slug, title, author, content })
+    this.revisions.set(slug, [])
+    this.attachments.set(slug, [])
+  }
+
+  // `fields.slug` moves the page, with its revisions and attachments, to a new slug
+  async updatePage(slug, fields) {
+    const page = Object.assign(this.pages.get(slug), fields)
+    if (page.slug !== slug) {
+      this.pages.set(page.slug, page)
+      this.revisions.set(page.slug, this.revisions.get(slug))
+      this.attachments.set(page.slug, this.attachments.get(slug))
+      this.pages.delete(slug)
+      this.revisions.delete(slug)
+      this.attachments.delete(slug)
+    }
+  }
+
+  async deletePage(slug) {
+    this.pages.delete(slug)
+    this.revisions.delete(slug)
+    this.attachments.delete(slug)
+  }
+
+  async listRevisions(slug) {
+    return (this.revisions.get(slug) || []).map(revision => ({ ...revision }))
+  }
+
+  async getRevision(slug, id) {
+    const revision = (this.revisions.get(slug) || []).find(revision => revision.id === id)
+    return revision ? { ...revision } : null
+  }
+
+  async addRevision(slug, { author, timestamp, content }) {
+    const revisions = this.revisions.get(slug)
+    const revision = { id: revisions.length + 1, author, timestamp, content }
+    revisions.push(revision)
+    return { ...revision }
+  }
+
+  async getRedirect(source) {
+    return this.redirects.get(source) || null
+  }
+
+  async setRedirect(source, target) {
+    this.redirects.set(source, target)
+  }
+
+  async deleteRedirect(source) {
+    this.redirects.delete(source)
+  }
+
+  // Point every redirect that led to `oldTarget` at `newTarget` instead
+  async retargetRedirects(oldTarget, newTarget) {
+    for (const [source, target] of this.redirects) {
+      if (target === oldTarget) this.redirects.set(source, newTarget)
+    }
+  }
+
+  async listAttachments(slug) {
+    return (this.attachments.get(slug) || []).map(attachment => ({ ...attachment }))
+  }
+
+  async getAttachment(slug, id) {
+    const attachment = (this.attachments.get(slug) || []).find(attachment => attachment.id === id)
+    return attachment ? { ...attachment } : null
+  }
+
+  async addAttachment(slug, { filename, storedName, mimetype, size, uploader, timestamp }) {
+    const attachment = { id: this.nextAttachmentId++, filename, storedName, mimetype, size, uploader, timestamp }
+    this.attachments.get(slug).push(attachment)
+    return { ...attachment }
+  }
+
+  async deleteAttachment(slug, id) {
+    this.attachments.set(slug, this.attachments.get(slug).filter(attachment => attachment.id !== id))
+  }
+}
+
+module.exports = MemoryStore
@@ -0,0 +1,200 @@
+// Request rate limits. A rule says how many requests a key (an IP address,
+// a user, an API token) may make:
+//   { name, algorithm, max, window, key }
+//   'fixed-window' - at most `max` requests per `window` milliseconds,
+//                    counted from the first one
+//   'token-bucket' - bursts of up to `max` requests; the bucket refills
+//                    evenly and is full again `window` milliseconds after
+//                    it was emptied
+//
+// Counters live in a store: MemoryStore for one process, SqliteStore when
+// several processes share one database file.
+
+const SWEEP_INTERVAL = 60 * 1000 // how often expired counters are removed
+
+// What a counter holds, in both stores:
+//   value - requests so far (fixed window) or tokens left (token bucket)
+//   stamp - when the window ends (fixed window) or when the tokens were
+//           counted (token bucket), in milliseconds
+const algorithms = {
+  'fixed-window': {
+    // The counter after one more request, or null when it is over the limit
+    take(state, rule, now) {
+      if (!state || state.stamp <= now) {
+        return { value: 1, stamp: now + rule.window }
+      }
+      return state.value < rule.max ? { value: state.value + 1, stamp: state.stamp } : null
+    },
+
+    // Milliseconds until the counter may go, and until the next request
+    // would be allowed
+    status(state, rule, now) {
+      const reset = Math.max(0, state.stamp - now)
+      return {
+        remaining: Math.max(0, rule.max - state.value),
+        reset,
+        retryAfter: state.value < rule.max ? 0 : reset
+      }
+    },
+
+    expiresAt: (state, rule) => state.stamp,
+
+    // take() in one statement, so processes sharing the database cannot
+    // both see the same count. Returns no row when over the limit.
+    sql: `INSERT INTO rate_limit (key, value, stamp, expires_at) VALUES (?, 1, ?, ?)
+      ON CONFLICT (key) DO UPDATE SET
+        value = CASE WHEN stamp <= ? THEN 1 ELSE value + 1 END,
+        stamp = CASE WHEN stamp <= ? THEN ? ELSE stamp END,
+        expires_at = CASE WHEN stamp <= ? THEN ? ELSE stamp END
+      WHERE stamp <= ? OR value < ?
+      RETURNING value, stamp`,
+    params: (key, rule, now) => {
+      const end = now + rule.window
+      return [key, end, end, now, now, end, now, end, now, rule.max]
+    }
+  },
+
+  'token-bucket': {
+    take(state, rule, now) {
+      const tokens = available(state, rule, now)
+      return tokens >= 1 ? { value: tokens - 1, stamp: now } : null
+    },
+
+    status(state, rule, now) {
+      const tokens = available(state, rule, now)
+      const perToken = rule.window / rule.max
+      return {
+        remaining: Math.floor(tokens),
+        reset: Math.ceil((rule.max - tokens) * perToken),
+        retryAfter: tokens >= 1 ? 0 : Math.ceil((1 - tokens) * perToken)
+      }
+    },
+
+    // A bucket left alone for a whole window is full, the same as no bucket
+    expiresAt: (state, rule) => state.stamp + rule.window,
+
+    sql: `INSERT INTO rate_limit (key, value, stamp, expires_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (key) DO UPDATE SET
+        value = MIN(?, value + (? - stamp) * ?) - 1,
+        stamp = ?,
+        expires_at = ?
+      WHERE MIN(?, value + (? - stamp) * ?) >= 1
+      RETURNING value, stamp`,
+    params: (key, rule, now) => {
+      const rate = rule.max / rule.window // tokens per millisecond
+      const end = now + rule.window
+      return [key, rule.max - 1, now, end, rule.max, now, rate, now, end, rule.max, now, rate]
+    }
+  }
+}
+
+// Tokens in the bucket at `now`
+function available(state, rule, now) {
+  if (!state) return rule.max
+  return Math.min(rule.max, state.value + (now - state.stamp) * rule.max / rule.window)
+}
+
+class MemoryStore {
+  constructor() {
+    this.counters = new Map() // key -> { value, stamp, expiresAt }
+    this.sweep = setInterval(() => {
+      const now = Date.now()
+      for (const [key, counter] of this.counters) {
+        if (counter.expiresAt <= now) this.counters.delete(key)
+      }
+    }, SWEEP_INTERVAL)
+    this.sweep.unref()
+  }
+
+  // Count a request; resolves to { allowed, state } with the counter after it
+  async take(key, rule, now) {
+    const algorithm = algorithms[rule.algorithm]
+    const state = this.counters.get(key) || null
+    const next = algorithm.take(state, rule, now)
+    if (!next) {
+      return { allowed: false, state }
+    }
+    this.counters.set(key, { ...next, expiresAt: algorithm.expiresAt(next, rule) })
+    return { allowed: true, state: next }
+  }
+
+  async close() {
+    clearInterval(this.sweep)
+    this.counters.clear()
+  }
+}
+
+// `db` connects the store to a database driver:
+//   query(sql, params) - run one statement, resolving to its rows
+// The rate_limit table it needs is SqliteStore.SCHEMA.
+class SqliteStore {
+  constructor(db) {
+    this.db = db
+    this.sweep = setInterval(() => {
+      this.db.query('DELETE FROM rate_limit WHERE expires_at <= ?', [Date.now()]).catch(() => {})
+    }, SWEEP_INTERVAL)
+    this.sweep.unref()
+  }
+
+  async take(key, rule, now) {
+    const algorithm = algorithms[rule.algorithm]
+    const [row] = await this.db.query(algorithm.sql, algorithm.params(key, rule, now))
+    if (row) {
+      return { allowed: true, state: row }
+    }
+    // Over the limit; the counter is only read to tell the client how long to wait
+    const [state] = await this.db.query('SELECT value, stamp FROM rate_limit WHERE key = ?', [key])
+    return { allowed: false, state: state || null }
+  }
+
+  async close() {
+    clearInterval(this.sweep)
+  }
+}
+
+SqliteStore.SCHEMA = `CREATE TABLE IF NOT EXISTS rate_limit (
+  key TEXT PRIMARY KEY,
+  value REAL NOT NULL,
+  stamp INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL
+)`
+
+class RateLimiter {
+  constructor(store) {
+    this.store = store
+  }
+
+  // Check a rule before it is used, so mistakes show up at startup
+  static validate(rule) {
+    if (!algorithms[rule.algorithm]) {
+      throw new Error(`Unknown rate limit algorithm "${rule.algorithm}"`)
+    }
+    if (!(Number.isInteger(rule.max) && rule.max > 0 && Number.isInteger(rule.window) && rule.window > 0)) {
+      throw new Error('A rate limit needs a positive whole max and window')
+    }
+    return rule
+  }
+
+  // Count a request by `key` against `rule`. Resolves to whether it may go
+  // ahead, with the numbers for the RateLimit-* headers in seconds.
+  async hit(rule, key) {
+    const now = Date.now()
+    const { allowed, state } = await this.store.take(`${rule.name}:${key}`, rule, now)
+    const status = state
+      ? algorithms[rule.algorithm].status(state, rule, now)
+      : { remaining: 0, reset: rule.window, retryAfter: allowed ? 0 : rule.window }
+    return {
+      allowed,
+      limit: rule.max,
+      remaining: status.remaining,
+      reset: Math.ceil(status.reset / 1000),
+      retryAfter: Math.max(1, Math.ceil(status.retryAfter / 1000))
+    }
+  }
+
+  close() {
+    return this.store.close()
+  }
+}
+
+module.exports = { RateLimiter, MemoryStore, SqliteStore }
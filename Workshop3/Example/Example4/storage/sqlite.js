@@ -0,0 +1,228 @@
+const sqlite3 = require('sqlite3').verbose()
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS users (
+    username TEXT PRIMARY KEY,
+    password TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'user',
+    avatar TEXT
+);
+
+CREATE TABLE IF NOT EXISTS pages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slug TEXT UNIQUE NOT NULL,
+    title TEXT NOT NULL,
+    author TEXT NOT NULL,
+    content TEXT NOT NULL DEFAULT ''
+);
+
+CREATE TABLE IF NOT EXISTS revisions (
+    page_id INTEGER NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+    id INTEGER NOT NULL,
+    author TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    content TEXT NOT NULL,
+    PRIMARY KEY (page_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS redirects (
+    source TEXT PRIMARY KEY,
+    target TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS attachments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_id INTEGER NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
+    filename TEXT NOT NULL,
+    stored_name TEXT NOT NULL,
+    mimetype TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    uploader TEXT NOT NULL,
+    timestamp TEXT NOT NULL
+);
+`
+
+const PAGE_COLUMNS = ['slug', 'title', 'author', 'content']
+const USER_COLUMNS = ['password', 'role', 'avatar']
+
+// Same methods as MemoryStore (see memory.js), backed by a SQLite file
+class SqliteStore {
+  constructor(options = {}) {
+    this.filename = options.filename || 'database.db'
+  }
+
+  init() {
+    return new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.filename, (err) => {
+        if (err) return reject(err)
+        this.db.exec(`PRAGMA foreign_keys = ON;\n${SCHEMA}`, (err) => {
+          if (err) reject(err)
+          resolve()
+        })
+      })
+    })
+  }
+
+  close() {
+    return new Promise((resolve, reject) => {
+      this.db.close((err) => {
+        if (err) reject(err)
+        resolve()
+      })
+    })
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (err) {
+        if (err) reject(err)
+        resolve(this)
+      })
+    })
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) reject(err)
+        resolve(row || null)
+      })
+    })
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) reject(err)
+        resolve(rows)
+      })
+    })
+  }
+
+  // Turn { a: 1, b: 2 } into 'a = ?, b = ?' and [1, 2], keeping only known columns
+  assignments(fields, columns) {
+    const names = Object.keys(fields).filter(name => columns.includes(name))
+    return [names.map(name => `${name} = ?`).join(', '), names.map(name => fields[name])]
+  }
+
+  getUser(username) {
+    return this.get('SELECT username, password, role, avatar FROM users WHERE username = ?', [username])
+  }
+
+  async countUsers() {
+    const row = await this.get('SELECT COUNT(*) AS count FROM users')
+    return row.count
+  }
+
+  async createUser({ username, password, role = 'user', avatar = null }) {
+    await this.run('INSERT INTO users (username, password, role, avatar) VALUES (?, ?, ?, ?)', [username, password, role, avatar])
+  }
+
+  async updateUser(username, fields) {
+    const [set, values] = this.assignments(fields, USER_COLUMNS)
+    if (!set) return
+    await this.run(`UPDATE users SET ${set} WHERE username = ?`, [...values, username])
+  }
+
+  getPage(slug) {
+    return this.get('SELECT slug, title, author, content FROM pages WHERE slug = ?', [slug])
+  }
+
+  findPageByTitle(title) {
+    return this.get('SELECT slug, title, author, content FROM pages WHERE title = ?', [title])
+  }
+
+  listPages() {
+    return this.all('SELECT slug, title, author, content FROM pages ORDER BY title')
+  }
+
+  async createPage({ slug, title, author, content = '' }) {
+    await this.run('INSERT INTO pages (slug, title, author, content) VALUES (?, ?, ?, ?)', [slug, title, author, content])
+  }
+
+  // Revisions hang off the page id, so changing the slug moves them too
+  async updatePage(slug, fields) {
+    const [set, values] = this.assignments(fields, PAGE_COLUMNS)
+    if (!set) return
+    await this.run(`UPDATE pages SET ${set} WHERE slug = ?`, [...values, slug])
+  }
+
+  async deletePage(slug) {
+    await this.run('DELETE FROM pages WHERE slug = ?', [slug])
+  }
+
+  listRevisions(slug) {
+    return this.all(
+      `SELECT r.id, r.author, r.timestamp, r.content FROM revisions r
+       JOIN pages p ON p.id = r.page_id WHERE p.slug = ? ORDER BY r.id`,
+      [slug]
+    )
+  }
+
+  getRevision(slug, id) {
+    return this.get(
+      `SELECT r.id, r.author, r.timestamp, r.content FROM revisions r
+       JOIN pages p ON p.id = r.page_id WHERE p.slug = ? AND r.id = ?`,
+      [slug, id]
+    )
+  }
+
+  async addRevision(slug, { author, timestamp, content }) {
+    const page = await this.get('SELECT id FROM pages WHERE slug = ?', [slug])
+    const row = await this.get('SELECT COALESCE(MAX(id), 0) + 1 AS next FROM revisions WHERE page_id = ?', [page.id])
+    await this.run(
+      'INSERT INTO revisions (page_id, id, author, timestamp, content) VALUES (?, ?, ?, ?, ?)',
+      [page.id, row.next, author, timestamp, content]
+    )
+    return { id: row.next, author, timestamp, content }
+  }
+
+  async getRedirect(source) {
+    const row = await this.get('SELECT target FROM redirects WHERE source = ?', [source])
+    return row ? row.target : null
+  }
+
+  async setRedirect(source, target) {
+    await this.run('INSERT OR REPLACE INTO redirects (source, target) VALUES (?, ?)', [source, target])
+  }
+
+  async deleteRedirect(source) {
+    await this.run('DELETE FROM redirects WHERE source = ?', [source])
+  }
+
+  async retargetRedirects(oldTarget, newTarget) {
+    await this.run('UPDATE redirects SET target = ? WHERE target = ?', [newTarget, oldTarget])
+  }
+
+  listAttachments(slug) {
+    return this.all(
+      `SELECT a.id, a.filename, a.stored_name AS storedName, a.mimetype, a.size, a.uploader, a.timestamp
+       FROM attachments a JOIN pages p ON p.id = a.page_id WHERE p.slug = ? ORDER BY a.id`,
+      [slug]
+    )
+  }
+
+  getAttachment(slug, id) {
+    return this.get(
+      `SELECT a.id, a.filename, a.stored_name AS storedName, a.mimetype, a.size, a.uploader, a.timestamp
+       FROM attachments a JOIN pages p ON p.id = a.page_id WHERE p.slug = ? AND a.id = ?`,
+      [slug, id]
+    )
+  }
+
+  async addAttachment(slug, { filename, storedName, mimetype, size, uploader, timestamp }) {
+    const page = await this.get('SELECT id FROM pages WHERE slug = ?', [slug])
+    const result = await this.run(
+      `INSERT INTO attachments (page_id, filename, stored_name, mimetype, size, uploader, timestamp)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [page.id, filename, storedName, mimetype, size, uploader, timestamp]
+    )
+    return { id: result.lastID, filename, storedName, mimetype, size, uploader, timestamp }
+  }
+
+  async deleteAttachment(slug, id) {
+    await this.run('DELETE FROM attachments WHERE id = ? AND page_id = (SELECT id FROM pages WHERE slug = ?)', [id, slug])
+  }
+}
+
+module.exports = SqliteStore
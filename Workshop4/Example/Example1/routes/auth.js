@@ -1,5 +1,12 @@
-const argon2 = require('argon2')
+const passwords = require('../utils/passwords')
 const collectMessages = require('../utils')
+
+// Shown when an account or address has failed to log in too often
+function lockoutMessage(seconds) {
+  const minutes = Math.ceil(seconds / 60)
+  return `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+}
+
 module.exports = async (fastify, opts) => {
   
 
@@ -16,7 +23,7 @@ module.exports = async (fastify, opts) => {
       return reply.redirect('/register')
     }
 
-    const passwordHash = await argon2.hash(password) 
+    const passwordHash = await passwords.hash(password)
     fastify.users[username] = { passwordHash }
     request.flash('success', 'Registration successful! Please log in.')
     return reply.redirect('/login')
@@ -29,12 +36,24 @@ module.exports = async (fastify, opts) => {
 
   fastify.post('/login', async (request, reply) => {
     const { username, password } = request.body
+    const lockedFor = fastify.bruteForce.lockedFor(request.ip, username)
+    if (lockedFor) {
+      request.flash('danger', lockoutMessage(lockedFor))
+      return reply.redirect('/login')
+    }
+    await fastify.bruteForce.delay(request.ip, username)
     const user = fastify.users[username]
 
-    if (!user || !(await argon2.verify(user.passwordHash,password))) {
-      request.flash('danger', 'Invalid username or password.')
+    if (!(await fastify.bruteForce.verify(user && user.passwordHash, password))) {
+      const lockout = fastify.bruteForce.fail(request.ip, username)
+      request.flash('danger', lockout ? lockoutMessage(lockout) : 'Invalid username or password.')
       return reply.redirect('/login')
     }
+    fastify.bruteForce.succeed(request.ip, username)
+    // Hash the password again if its hash uses outdated settings
+    if (passwords.needsRehash(user.passwordHash)) {
+      user.passwordHash = await passwords.hash(password)
+    }
 
     request.session.set('user', username)
     request.flash('success', 'Logged in successfully!')
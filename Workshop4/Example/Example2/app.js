@@ -7,6 +7,7 @@ fastify.register(require('./plugins/static'))
 fastify.register(require('./plugins/formbody'));
 fastify.register(require('./plugins/session'))
 fastify.register(require('./plugins/db-plugin'));
+fastify.register(require('./plugins/brute-force'))
 fastify.register(require('./plugins/auth'))
 fastify.register(require('./plugins/404'))
 
@@ -0,0 +1,14 @@
+// IF NOT EXISTS adopts databases created with the old schema.sql
+module.exports = {
+  async up({ query }) {
+    await query(`CREATE TABLE IF NOT EXISTS user (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL
+    )`)
+  },
+
+  async down({ query }) {
+    await query('DROP TABLE user')
+  }
+}
@@ -1,5 +1,7 @@
 const fp = require('fastify-plugin')
+const path = require('path')
 const sqlite3 = require('sqlite3').verbose()
+const Migrator = require('../utils/migrator')
 
 module.exports = fp(async (fastify, opts) => {
   const db = new sqlite3.Database('database.db', (err) => {
@@ -10,7 +12,13 @@ module.exports = fp(async (fastify, opts) => {
     fastify.log.info('Connected to SQLite database')
   })
 
+  const query = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows))
+  })
+  const migrator = new Migrator({ query, context: { query } }, path.join(__dirname, '../migrations'))
+
   fastify.decorate('db', db)
+  fastify.decorate('migrator', migrator)
 
   fastify.addHook('onClose', (fastify, done) => {
     db.close((err) => {
@@ -18,4 +26,10 @@ module.exports = fp(async (fastify, opts) => {
       done()
     })
   })
-})
\ No newline at end of file
+
+  // Refuse to start on a schema that does not match the code
+  // (migrate.js registers this plugin with checkSchema: false)
+  if (opts.checkSchema !== false) {
+    await migrator.check()
+  }
+})
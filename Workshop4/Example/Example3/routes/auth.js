@@ -1,6 +1,12 @@
-const argon2 = require('argon2')
+const passwords = require('../utils/passwords')
 const collectMessages = require('../utils')
 
+// Shown when an account or address has failed to log in too often
+function lockoutMessage(seconds) {
+  const minutes = Math.ceil(seconds / 60)
+  return `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+}
+
 module.exports = async (fastify, opts) => {
   fastify.get('/register', async (request, reply) => {
     const messages = collectMessages(reply)
@@ -23,7 +29,7 @@ module.exports = async (fastify, opts) => {
     }
 
     // Hash password and insert user
-    const passwordHash = await argon2.hash(password)
+    const passwordHash = await passwords.hash(password)
     await new Promise((resolve, reject) => {
       fastify.db.run('INSERT INTO user (username, password_hash) VALUES (?, ?)', [username, passwordHash], (err) => {
         if (err) reject(err)
@@ -42,6 +48,12 @@ module.exports = async (fastify, opts) => {
 
   fastify.post('/login', async (request, reply) => {
     const { username, password } = request.body
+    const lockedFor = fastify.bruteForce.lockedFor(request.ip, username)
+    if (lockedFor) {
+      request.flash('danger', lockoutMessage(lockedFor))
+      return reply.redirect('/login')
+    }
+    await fastify.bruteForce.delay(request.ip, username)
 
     const user = await new Promise((resolve, reject) => {
       fastify.db.get('SELECT * FROM user WHERE username = ?', [username], (err, row) => {
@@ -50,10 +62,22 @@ module.exports = async (fastify, opts) => {
       })
     })
 
-    if (!user || !(await argon2.verify(user.password_hash, password) )) {
-      request.flash('danger', 'Invalid username or password.')
+    if (!(await fastify.bruteForce.verify(user && user.password_hash, password))) {
+      const lockout = fastify.bruteForce.fail(request.ip, username)
+      request.flash('danger', lockout ? lockoutMessage(lockout) : 'Invalid username or password.')
       return reply.redirect('/login')
     }
+    fastify.bruteForce.succeed(request.ip, username)
+    // Hash the password again if its hash uses outdated settings
+    if (passwords.needsRehash(user.password_hash)) {
+      const passwordHash = await passwords.hash(password)
+      await new Promise((resolve, reject) => {
+        fastify.db.run('UPDATE user SET password_hash = ? WHERE id = ?', [passwordHash, user.id], (err) => {
+          if (err) reject(err)
+          resolve()
+        })
+      })
+    }
 
     request.session.set('user_id', user["id"])
     request.session.set('user', user["username"])
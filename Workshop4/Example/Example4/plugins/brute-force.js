@@ -0,0 +1,90 @@
+const fp = require('fastify-plugin')
+const crypto = require('crypto')
+const passwords = require('../utils/passwords')
+
+const MAX_ACCOUNT_FAILURES = 5   // failed logins before an account is locked
+const MAX_IP_FAILURES = 20       // failed logins before an IP address is locked
+const FAILURE_WINDOW = 15 * 60 * 1000 // failures older than this are forgotten
+const LOCKOUT_TIME = 15 * 60 * 1000   // how long a lockout lasts
+const BASE_DELAY = 500  // milliseconds, doubled for every further failure
+const MAX_DELAY = 8000
+
+// Failed login attempts are counted per account and per IP address, in
+// memory. Repeated failures slow every further attempt down and, past a
+// limit, lock the account or address out for a while.
+module.exports = fp(async (fastify, opts) => {
+  const attempts = new Map() // key -> { failures, lastFailure, lockedUntil }
+
+  // Verifying against a real hash when the username does not exist takes
+  // as long as a wrong password, so timing does not reveal which accounts exist.
+  // It uses the configured cost, like the hashes of real accounts.
+  const dummyHash = await passwords.hash(crypto.randomBytes(16))
+
+  const keysFor = (ip, username) => [`ip:${ip}`, `account:${username}`]
+
+  function entry(key) {
+    const current = attempts.get(key)
+    if (current && Date.now() - current.lastFailure > FAILURE_WINDOW && !(current.lockedUntil > Date.now())) {
+      attempts.delete(key)
+      return null
+    }
+    return current || null
+  }
+
+  // Forget stale entries now and then so the map does not grow forever
+  const sweep = setInterval(() => {
+    for (const key of attempts.keys()) entry(key)
+  }, FAILURE_WINDOW)
+  sweep.unref()
+  fastify.addHook('onClose', async () => clearInterval(sweep))
+
+  fastify.decorate('bruteForce', {
+    // Seconds until the account or address may try again, 0 if it may now
+    lockedFor(ip, username) {
+      const until = Math.max(0, ...keysFor(ip, username).map(key => (entry(key) || {}).lockedUntil || 0))
+      return Math.max(0, Math.ceil((until - Date.now()) / 1000))
+    },
+
+    // Wait longer the more attempts have failed recently
+    async delay(ip, username) {
+      const failures = Math.max(0, ...keysFor(ip, username).map(key => (entry(key) || {}).failures || 0))
+      if (failures < 2) return
+      const ms = Math.min(BASE_DELAY * 2 ** (failures - 2), MAX_DELAY)
+      await new Promise(resolve => setTimeout(resolve, ms))
+    },
+
+    // Check a password, also when there is no user to check it against
+    async verify(hash, password) {
+      const valid = await passwords.verify(hash || dummyHash, password)
+      return Boolean(hash) && valid
+    },
+
+    // Count a failed attempt; returns the seconds of lockout it caused, if any
+    fail(ip, username) {
+      const [ipKey, accountKey] = keysFor(ip, username)
+      const limits = { [ipKey]: MAX_IP_FAILURES, [accountKey]: MAX_ACCOUNT_FAILURES }
+      let lockedFor = 0
+      for (const key of [ipKey, accountKey]) {
+        const current = entry(key) || { failures: 0, lockedUntil: 0 }
+        current.failures += 1
+        current.lastFailure = Date.now()
+        if (current.failures >= limits[key]) {
+          current.failures = 0
+          current.lockedUntil = Date.now() + LOCKOUT_TIME
+          lockedFor = LOCKOUT_TIME / 1000
+        }
+        attempts.set(key, current)
+      }
+      return lockedFor
+    },
+
+    // Only the account starts over; otherwise logging in to an account of
+    // one's own between guesses would keep resetting the address's count
+    succeed(ip, username) {
+      const [, accountKey] = keysFor(ip, username)
+      attempts.delete(accountKey)
+    }
+  })
+}, {
+  name: 'brute-force'
+})
@@ -1,7 +1,12 @@
-const argon2 = require('argon2')
 const User = require('../utils/user')
 const collectMessages = require('../utils')
 
+// Shown when an account or address has failed to log in too often
+function lockoutMessage(seconds) {
+  const minutes = Math.ceil(seconds / 60)
+  return `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+}
+
 module.exports = async (fastify, opts) => {
   fastify.get('/register', async (request, reply) => {
     const messages = collectMessages(reply)
@@ -31,12 +36,21 @@ module.exports = async (fastify, opts) => {
   fastify.post('/login', async (request, reply) => {
     const { username, password } = request.body
 
+    const lockedFor = fastify.bruteForce.lockedFor(request.ip, username)
+    if (lockedFor) {
+      request.flash('danger', lockoutMessage(lockedFor))
+      return reply.redirect('/login')
+    }
+    await fastify.bruteForce.delay(request.ip, username)
     const user =  await User.findByUsername(fastify.db, username)
 
-    if (!user || !(await argon2.verify(user.password_hash, password) )) {
-      request.flash('danger', 'Invalid username or password.')
+    if (!(await fastify.bruteForce.verify(user && user.password_hash, password))) {
+      const lockout = fastify.bruteForce.fail(request.ip, username)
+      request.flash('danger', lockout ? lockoutMessage(lockout) : 'Invalid username or password.')
       return reply.redirect('/login')
     }
+    fastify.bruteForce.succeed(request.ip, username)
+    await User.rehashIfNeeded(fastify.db, user, password)
 
     request.session.set('user_id', user["id"])
     request.session.set('user', user["username"])
@@ -1,7 +0,0 @@
-DROP TABLE IF EXISTS user;
-
-CREATE TABLE user (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT UNIQUE NOT NULL,
-    password_hash TEXT NOT NULL
-);
\ No newline at end of file
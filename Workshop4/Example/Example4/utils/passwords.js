@@ -0,0 +1,41 @@
+const argon2 = require('argon2')
+
+// New password hashes are argon2id with the cost read from the environment,
+// the same settings as in Example6's config:
+//   ARGON2_MEMORY_COST  KiB, at least 19456 (default 65536)
+//   ARGON2_TIME_COST    passes, at least 2 (default 3)
+//   ARGON2_PARALLELISM  threads, 1 to 16 (default 4)
+// Stored hashes made with other settings still verify, and needsRehash()
+// tells when to replace them after a successful login.
+const ARGON2ID = '$argon2id$'
+
+function setting(name, fallback, min, max = Infinity) {
+  const raw = process.env[name]
+  if (raw === undefined || raw === '') return fallback
+  const value = Number(raw)
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${name} must be a whole number of at least ${min}${max === Infinity ? '' : ` and at most ${max}`}`)
+  }
+  return value
+}
+
+const hashOptions = {
+  type: argon2.argon2id,
+  memoryCost: setting('ARGON2_MEMORY_COST', 65536, 19456),
+  timeCost: setting('ARGON2_TIME_COST', 3, 2),
+  parallelism: setting('ARGON2_PARALLELISM', 4, 1, 16)
+}
+
+function hash(password) {
+  return argon2.hash(password, hashOptions)
+}
+
+function verify(digest, password) {
+  return argon2.verify(digest, password)
+}
+
+function needsRehash(digest) {
+  return !digest.startsWith(ARGON2ID) || argon2.needsRehash(digest, hashOptions)
+}
+
+module.exports = { hashOptions, hash, verify, needsRehash }
@@ -1,7 +1,8 @@
-const argon2 = require('argon2')
+const passwords = require('./passwords')
+
 class User {
   static async create(db, username, password) {
-    const passwordHash = await argon2.hash(password)
+    const passwordHash = await passwords.hash(password)
     return new Promise((resolve, reject) => {
       db.run('INSERT INTO user (username, password_hash) VALUES (?, ?)', [username, passwordHash], function (err) {
         if (err) reject(err)
@@ -10,6 +11,18 @@ class User {
     })
   }
 
+  // Hash a correct password again if its hash uses outdated settings
+  static async rehashIfNeeded(db, user, password) {
+    if (!passwords.needsRehash(user.password_hash)) return
+    const passwordHash = await passwords.hash(password)
+    return new Promise((resolve, reject) => {
+      db.run('UPDATE user SET password_hash = ? WHERE id = ?', [passwordHash, user.id], (err) => {
+        if (err) reject(err)
+        resolve()
+      })
+    })
+  }
+
   static async findByUsername(db, username) {
     return new Promise((resolve, reject) => {
       db.get('SELECT * FROM user WHERE username = ?', [username], (err, row) => {
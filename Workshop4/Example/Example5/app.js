@@ -7,6 +7,7 @@ fastify.register(require('./plugins/static'))
 fastify.register(require('./plugins/formbody'));
 fastify.register(require('./plugins/session'))
 fastify.register(require('./plugins/sequelize'))
+fastify.register(require('./plugins/brute-force'))
 fastify.register(require('./plugins/auth'))
 fastify.register(require('./plugins/404'))
 
@@ -24,7 +25,8 @@ const start = async () => {
     await fastify.listen({ port: 3000 })
     console.log('Server running at http://127.0.0.1:3000')
   } catch (err) {
-    fastify.log.error(err)
+    // The logger is off, so print the reason, e.g. an outdated schema
+    console.error(err.message)
     process.exit(1)
   }
 }
@@ -0,0 +1,24 @@
+module.exports = {
+  async up({ queryInterface, Sequelize }) {
+    await queryInterface.createTable('user', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      username: {
+        type: Sequelize.STRING(150),
+        unique: true,
+        allowNull: false
+      },
+      password_hash: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      }
+    })
+  },
+
+  async down({ queryInterface }) {
+    await queryInterface.dropTable('user')
+  }
+}
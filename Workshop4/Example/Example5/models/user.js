@@ -1,14 +1,21 @@
-const argon2 = require('argon2')
+const passwords = require('../utils/passwords')
 const { Model, DataTypes } = require('sequelize')
 
 module.exports = (sequelize) => {
   class User extends Model {
     async setPassword(password) {
-      this.password_hash = await argon2.hash(password)
+      this.password_hash = await passwords.hash(password)
     }
 
+    // A correct password whose hash uses outdated settings is hashed again
+    // with the current ones while we have it in plain text
     async checkPassword(password) {
-      return argon2.verify(this.password_hash, password)
+      const valid = await passwords.verify(this.password_hash, password)
+      if (valid && passwords.needsRehash(this.password_hash)) {
+        await this.setPassword(password)
+        await this.save({ fields: ['password_hash'] })
+      }
+      return valid
     }
   }
 
@@ -1,5 +1,7 @@
 const fp = require('fastify-plugin')
+const path = require('path')
 const { Sequelize } = require('sequelize')
+const Migrator = require('../utils/migrator')
 
 module.exports = fp(async (fastify, opts) => {
   // Initialize Sequelize
@@ -12,13 +14,25 @@ module.exports = fp(async (fastify, opts) => {
  
   const models = require('../models')(sequelize)
 
-  
+  const migrator = new Migrator({
+    query: async (sql, params = []) => (await sequelize.query(sql, { replacements: params }))[0],
+    context: { queryInterface: sequelize.getQueryInterface(), Sequelize }
+  }, path.join(__dirname, '../migrations'))
+
   fastify.decorate('sequelize', sequelize)
   fastify.decorate('models', models)
+  fastify.decorate('migrator', migrator)
 
   
   fastify.addHook('onClose', async (fastify, done) => {
     await sequelize.close()
     done()
   })
+
+  // The schema comes from the migrations, not from the models; refuse to
+  // start on one that does not match the code
+  // (migrate.js registers this plugin with checkSchema: false)
+  if (opts.checkSchema !== false) {
+    await migrator.check()
+  }
 })
\ No newline at end of file
@@ -1,6 +1,11 @@
-const argon2 = require('argon2')
 const collectMessages = require('../utils')
 
+// Shown when an account or address has failed to log in too often
+function lockoutMessage(seconds) {
+  const minutes = Math.ceil(seconds / 60)
+  return `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+}
+
 module.exports = async (fastify, opts) => {
   fastify.get('/register', async (request, reply) => {
     const messages = collectMessages(reply)
@@ -16,8 +21,8 @@ module.exports = async (fastify, opts) => {
       return reply.redirect('/register')
     }
 
-    const password_hash = await argon2.hash(password)
-    const user = await User.create({ username,password_hash })
+    const user = User.build({ username })
+    await user.setPassword(password)
     await user.save()
 
     request.flash('success', 'Registration successful! Please log in.')
@@ -32,12 +37,21 @@ module.exports = async (fastify, opts) => {
   fastify.post('/login', async (request, reply) => {
     const { username, password } = request.body
     const { User } = fastify.models
+    const lockedFor = fastify.bruteForce.lockedFor(request.ip, username)
+    if (lockedFor) {
+      request.flash('danger', lockoutMessage(lockedFor))
+      return reply.redirect('/login')
+    }
+    await fastify.bruteForce.delay(request.ip, username)
     const user = await User.findOne({ where: { username } })
+    const valid = user ? await user.checkPassword(password) : await fastify.bruteForce.verify(null, password)
 
-    if (!user || !(await user.checkPassword(password))) {
-      request.flash('danger', 'Invalid username or password.')
+    if (!valid) {
+      const lockout = fastify.bruteForce.fail(request.ip, username)
+      request.flash('danger', lockout ? lockoutMessage(lockout) : 'Invalid username or password.')
       return reply.redirect('/login')
     }
+    fastify.bruteForce.succeed(request.ip, username)
 
     request.session.set('user_id', user["id"])
     request.session.set('user', user["username"])
@@ -1,4 +1,9 @@
-const fastify = require('fastify')({ logger: true })
+const fastify = require('fastify')({
+  logger: true,
+  // Report every invalid field of a body, not just the first one, so forms
+  // can show all their errors at once
+  ajv: { customOptions: { allErrors: true } }
+})
 const path = require('path')
 const AutoLoad = require('@fastify/autoload')
 
@@ -16,8 +21,11 @@ fastify.get('/', async (request, reply) => {
 
 const start = async () => {
   try {
-    await fastify.listen({ port: 3000 })
-    console.log('Server running at http://127.0.0.1:3000')
+    // The port is part of the configuration, which is loaded with the plugins
+    await fastify.ready()
+    const { HOST, PORT } = fastify.config
+    await fastify.listen({ host: HOST, port: PORT })
+    console.log(`Server running at http://${HOST}:${PORT}`)
   } catch (err) {
     fastify.log.error(err)
     process.exit(1)
@@ -0,0 +1,43 @@
+const fastify = require('fastify')({ logger: false })
+
+// Usage: node migrate.js migrate | rollback [steps] | status
+// (or npm run migrate, npm run migrate:rollback, npm run migrate:status)
+fastify.register(require('./plugins/config'))
+fastify.register(require('./plugins/sequelize'), { checkSchema: false })
+
+const commands = {
+  async migrate(migrator) {
+    const names = await migrator.migrate()
+    console.log(names.length ? names.map(name => `Applied ${name}`).join('\n') : 'Already up to date')
+  },
+
+  async rollback(migrator, steps = '1') {
+    const names = await migrator.rollback(parseInt(steps, 10))
+    console.log(names.length ? names.map(name => `Rolled back ${name}`).join('\n') : 'Nothing to roll back')
+  },
+
+  async status(migrator) {
+    for (const row of await migrator.status()) {
+      const state = row.missing ? 'missing' : row.applied_at ? 'applied' : 'pending'
+      console.log(`${state.padEnd(8)} ${row.name}${row.applied_at ? `  ${row.applied_at}` : ''}`)
+    }
+  }
+}
+
+const run = async () => {
+  const [command = 'migrate', ...args] = process.argv.slice(2)
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}", use one of ${Object.keys(commands).join(', ')}`)
+    process.exit(1)
+  }
+  try {
+    await fastify.ready()
+    await commands[command](fastify.migrator, ...args)
+  } catch (err) {
+    console.error(err.message)
+    process.exitCode = 1
+  } finally {
+    await fastify.close()
+  }
+}
+run()
@@ -0,0 +1,88 @@
+// The schema as the models defined it before migrations were introduced
+module.exports = {
+  async up({ queryInterface, Sequelize }) {
+    const id = {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    }
+    const userId = {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: { model: 'user', key: 'id' },
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    }
+    const oneTimeToken = {
+      id,
+      token_hash: { type: Sequelize.STRING(64), unique: true, allowNull: false },
+      created_at: { type: Sequelize.DATE, allowNull: false },
+      expires_at: { type: Sequelize.DATE, allowNull: false },
+      used_at: { type: Sequelize.DATE },
+      user_id: userId
+    }
+
+    await queryInterface.createTable('user', {
+      id,
+      username: { type: Sequelize.STRING(150), unique: true, allowNull: false },
+      email: { type: Sequelize.STRING(254), unique: true, allowNull: false },
+      email_verified_at: { type: Sequelize.DATE },
+      password_hash: { type: Sequelize.STRING(200), allowNull: false },
+      role: { type: Sequelize.STRING(20), allowNull: false, defaultValue: 'viewer' },
+      locked: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      must_reset_password: { type: Sequelize.BOOLEAN, allowNull: false, defaultValue: false },
+      session_version: { type: Sequelize.INTEGER, allowNull: false, defaultValue: 0 },
+      totp_secret: { type: Sequelize.STRING(64) },
+      totp_last_step: { type: Sequelize.INTEGER }
+    })
+
+    await queryInterface.createTable('audit_log', {
+      id,
+      actor: { type: Sequelize.STRING(150), allowNull: false },
+      action: { type: Sequelize.STRING(50), allowNull: false },
+      target: { type: Sequelize.STRING(150), allowNull: false },
+      details: { type: Sequelize.STRING(255) },
+      created_at: { type: Sequelize.DATE, allowNull: false }
+    })
+
+    await queryInterface.createTable('password_reset_token', oneTimeToken)
+    await queryInterface.createTable('email_verification_token', oneTimeToken)
+
+    await queryInterface.createTable('recovery_code', {
+      id,
+      code_hash: { type: Sequelize.STRING(64), allowNull: false },
+      used_at: { type: Sequelize.DATE },
+      user_id: userId
+    })
+
+    await queryInterface.createTable('remember_token', {
+      id,
+      selector: { type: Sequelize.STRING(32), unique: true, allowNull: false },
+      validator_hash: { type: Sequelize.STRING(64), allowNull: false },
+      previous_validator_hash: { type: Sequelize.STRING(64) },
+      rotated_at: { type: Sequelize.DATE },
+      expires_at: { type: Sequelize.DATE, allowNull: false },
+      user_id: userId
+    })
+
+    await queryInterface.createTable('session', {
+      sid: { type: Sequelize.STRING(64), primaryKey: true },
+      data: { type: Sequelize.TEXT, allowNull: false },
+      // Anonymous sessions have no user
+      user_id: { ...userId, allowNull: true },
+      user_agent: { type: Sequelize.STRING(255) },
+      ip: { type: Sequelize.STRING(64) },
+      last_seen_at: { type: Sequelize.DATE, allowNull: false },
+      expires_at: { type: Sequelize.DATE, allowNull: false }
+    })
+    await queryInterface.addIndex('session', ['user_id'])
+    await queryInterface.addIndex('session', ['expires_at'])
+  },
+
+  async down({ queryInterface }) {
+    for (const table of ['session', 'remember_token', 'recovery_code', 'email_verification_token',
+      'password_reset_token', 'audit_log', 'user']) {
+      await queryInterface.dropTable(table)
+    }
+  }
+}
@@ -0,0 +1,24 @@
+module.exports = {
+  async up({ queryInterface, Sequelize }) {
+    await queryInterface.createTable('user_identity', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      provider: { type: Sequelize.STRING(50), allowNull: false },
+      subject: { type: Sequelize.STRING(255), allowNull: false },
+      email: { type: Sequelize.STRING(254) },
+      created_at: { type: Sequelize.DATE, allowNull: false },
+      last_login_at: { type: Sequelize.DATE },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'user', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      }
+    })
+    await queryInterface.addIndex('user_identity', ['provider', 'subject'], { unique: true })
+  },
+
+  async down({ queryInterface }) {
+    await queryInterface.dropTable('user_identity')
+  }
+}
@@ -0,0 +1,24 @@
+module.exports = {
+  async up({ queryInterface, Sequelize }) {
+    await queryInterface.createTable('api_token', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      name: { type: Sequelize.STRING(100), allowNull: false },
+      token_hash: { type: Sequelize.STRING(64), unique: true, allowNull: false },
+      scopes: { type: Sequelize.STRING(255), allowNull: false },
+      created_at: { type: Sequelize.DATE, allowNull: false },
+      last_used_at: { type: Sequelize.DATE },
+      expires_at: { type: Sequelize.DATE, allowNull: false },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: { model: 'user', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      }
+    })
+  },
+
+  async down({ queryInterface }) {
+    await queryInterface.dropTable('api_token')
+  }
+}
@@ -0,0 +1,16 @@
+// Counters of the sqlite store in utils/rate-limit.js (RATE_LIMIT_STORE=sqlite)
+module.exports = {
+  async up({ queryInterface, Sequelize }) {
+    await queryInterface.createTable('rate_limit', {
+      key: { type: Sequelize.STRING(255), primaryKey: true },
+      value: { type: Sequelize.REAL, allowNull: false },
+      stamp: { type: Sequelize.BIGINT, allowNull: false },
+      expires_at: { type: Sequelize.BIGINT, allowNull: false }
+    })
+    await queryInterface.addIndex('rate_limit', ['expires_at'])
+  },
+
+  async down({ queryInterface }) {
+    await queryInterface.dropTable('rate_limit')
+  }
+}
@@ -0,0 +1,133 @@
+const crypto = require('crypto')
+const fastify = require('fastify')({ logger: false })
+
+// A stand-in OpenID Connect provider for trying "Sign in with ..." without
+// network access or an account at a real provider. It signs in whoever you
+// type into its form. Never use it for anything but development.
+//
+//   node mock-oidc-provider.js               (listens on http://localhost:3001)
+//   cp config.example.json config.json && npm start
+//
+// MOCK_OIDC_PORT, MOCK_OIDC_CLIENT_ID and MOCK_OIDC_CLIENT_SECRET change the
+// defaults, which match config.example.json.
+
+const PORT = Number(process.env.MOCK_OIDC_PORT) || 3001
+const ISSUER = `http://localhost:${PORT}`
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'myapp'
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'myapp-secret'
+const CODE_LIFETIME = 60 // seconds
+const TOKEN_LIFETIME = 3600 // seconds
+
+// A new signing key every run; the app fetches it from /jwks
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+const KID = crypto.randomBytes(8).toString('hex')
+const codes = new Map() // code -> what the token endpoint needs to check and answer
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`)
+
+function sign(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url')
+  const input = `${encode({ alg: 'RS256', typ: 'JWT', kid: KID })}.${encode(claims)}`
+  return `${input}.${crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`
+}
+
+// The client credentials of a token request, sent as HTTP basic
+// authentication or in the body
+function clientOf(request) {
+  const [scheme, credentials] = (request.headers.authorization || '').split(' ')
+  if (scheme === 'Basic' && credentials) {
+    const [id, secret] = Buffer.from(credentials, 'base64').toString().split(':').map(decodeURIComponent)
+    return { id, secret }
+  }
+  return { id: request.body.client_id, secret: request.body.client_secret }
+}
+
+fastify.register(require('@fastify/formbody'))
+
+fastify.get('/.well-known/openid-configuration', async () => ({
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/authorize`,
+  token_endpoint: `${ISSUER}/token`,
+  jwks_uri: `${ISSUER}/jwks`,
+  response_types_supported: ['code'],
+  subject_types_supported: ['public'],
+  id_token_signing_alg_values_supported: ['RS256'],
+  code_challenge_methods_supported: ['S256'],
+  token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+  scopes_supported: ['openid', 'email', 'profile']
+}))
+
+fastify.get('/jwks', async () => ({
+  keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }]
+}))
+
+// Instead of a login page, a form to choose who to sign in as
+fastify.get('/authorize', async (request, reply) => {
+  const { client_id, redirect_uri, response_type, code_challenge_method } = request.query
+  if (client_id !== CLIENT_ID || !/^https?:\/\//.test(redirect_uri || '') ||
+      response_type !== 'code' || code_challenge_method !== 'S256') {
+    return reply.code(400).type('text/plain').send('Unknown client, bad redirect_uri, or not a code flow with PKCE (S256)')
+  }
+  const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(request.query[name] || '')}">`)
+    .join('\n')
+  return reply.type('text/html').send(`<!DOCTYPE html>
+<title>Mock OpenID Connect provider</title>
+<h1>Sign in to ${escapeHtml(client_id)}</h1>
+<form method="POST" action="/authorize">
+${hidden}
+<p><label>Subject (sub) <input name="sub" value="mock-user-1"></label></p>
+<p><label>Email <input name="email" value="mock.user@example.com"></label></p>
+<p><label><input type="checkbox" name="email_verified" value="1" checked> Email verified</label></p>
+<p><label>Username <input name="preferred_username" value="mockuser"></label></p>
+<p><button name="decision" value="allow">Sign in</button> <button name="decision" value="deny">Deny</button></p>
+</form>`)
+})
+
+fastify.post('/authorize', async (request, reply) => {
+  const { redirect_uri, state, nonce, code_challenge, decision, sub, email, email_verified, preferred_username } = request.body
+  const url = new URL(redirect_uri)
+  if (state) url.searchParams.set('state', state)
+  if (decision !== 'allow') {
+    url.searchParams.set('error', 'access_denied')
+    return reply.redirect(url.toString())
+  }
+  const code = crypto.randomBytes(24).toString('base64url')
+  codes.set(code, {
+    redirect_uri,
+    code_challenge,
+    expires: Date.now() + CODE_LIFETIME * 1000,
+    claims: { sub, nonce, email: email || undefined, email_verified: Boolean(email_verified), preferred_username: preferred_username || undefined }
+  })
+  url.searchParams.set('code', code)
+  return reply.redirect(url.toString())
+})
+
+fastify.post('/token', async (request, reply) => {
+  const { grant_type, code, redirect_uri, code_verifier } = request.body
+  const client = clientOf(request)
+  if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+    return reply.code(401).send({ error: 'invalid_client' })
+  }
+  const grant = codes.get(code)
+  codes.delete(code) // codes work once
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url')
+  if (grant_type !== 'authorization_code' || !grant || grant.expires < Date.now() ||
+      grant.redirect_uri !== redirect_uri || grant.code_challenge !== challenge) {
+    return reply.code(400).send({ error: 'invalid_grant' })
+  }
+  const now = Math.floor(Date.now() / 1000)
+  return {
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: TOKEN_LIFETIME,
+    id_token: sign({ iss: ISSUER, aud: CLIENT_ID, iat: now, exp: now + TOKEN_LIFETIME, ...grant.claims })
+  }
+})
+
+fastify.listen({ port: PORT })
+  .then(() => console.log(`Mock OpenID Connect provider at ${ISSUER}`))
+  .catch(err => {
+    console.error(err)
+    process.exit(1)
+  })
@@ -0,0 +1,99 @@
+const crypto = require('crypto')
+const { Model, DataTypes, Op } = require('sequelize')
+
+const PREFIX = 'pat_'
+const TOUCH_INTERVAL = 60 * 1000 // write last_used_at at most once a minute
+
+// What a token may be used for, with the permission its user needs as well
+const SCOPES = {
+  me: null,
+  'users:read': 'manage_users',
+  'users:write': 'manage_users'
+}
+
+// Personal access tokens for the JSON API. Like the other tokens only a
+// hash is stored; the token itself is shown once, when it is created.
+module.exports = (sequelize) => {
+  class ApiToken extends Model {
+    static hash(token) {
+      return crypto.createHash('sha256').update(token).digest('hex')
+    }
+
+    // Resolves to the new token string
+    static async issue(user, { name, scopes, lifetime }) {
+      const token = PREFIX + crypto.randomBytes(32).toString('base64url')
+      const apiToken = await this.create({
+        user_id: user.id,
+        name,
+        token_hash: this.hash(token),
+        scopes: scopes.join(' '),
+        expires_at: new Date(Date.now() + lifetime)
+      })
+      return { token, apiToken }
+    }
+
+    static async findValid(token) {
+      if (!token.startsWith(PREFIX)) return null
+      return this.findOne({
+        where: { token_hash: this.hash(token), expires_at: { [Op.gt]: new Date() } }
+      })
+    }
+
+    get scopeList() {
+      return this.scopes.split(' ').filter(Boolean)
+    }
+
+    hasScope(scope) {
+      return this.scopeList.includes(scope)
+    }
+
+    async touch() {
+      if (!this.last_used_at || Date.now() - this.last_used_at > TOUCH_INTERVAL) {
+        this.last_used_at = new Date()
+        await this.save({ fields: ['last_used_at'] })
+      }
+    }
+  }
+
+  ApiToken.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    token_hash: {
+      type: DataTypes.STRING(64),
+      unique: true,
+      allowNull: false
+    },
+    scopes: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    last_used_at: {
+      type: DataTypes.DATE
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'ApiToken',
+    tableName: 'api_token',
+    timestamps: false
+  })
+
+  ApiToken.SCOPES = SCOPES
+
+  return ApiToken
+}
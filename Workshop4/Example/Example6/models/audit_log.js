@@ -0,0 +1,42 @@
+const { Model, DataTypes } = require('sequelize')
+
+module.exports = (sequelize) => {
+  // One row per admin action on an account. Usernames are copied rather than
+  // referenced so the trail survives deleting either account.
+  class AuditLog extends Model {}
+
+  AuditLog.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    actor: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    target: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    details: {
+      type: DataTypes.STRING(255)
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'AuditLog',
+    tableName: 'audit_log',
+    timestamps: false
+  })
+
+  return AuditLog
+}
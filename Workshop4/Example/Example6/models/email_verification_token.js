@@ -0,0 +1,16 @@
+const OneTimeToken = require('./one_time_token')
+
+module.exports = (sequelize) => {
+  class EmailVerificationToken extends OneTimeToken {}
+
+  EmailVerificationToken.LIFETIME = 24 * 60 * 60 * 1000 // 1 day in milliseconds
+
+  EmailVerificationToken.init(OneTimeToken.attributes, {
+    sequelize,
+    modelName: 'EmailVerificationToken',
+    tableName: 'email_verification_token',
+    timestamps: false
+  })
+
+  return EmailVerificationToken
+}
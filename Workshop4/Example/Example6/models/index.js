@@ -1,10 +1,21 @@
-module.exports = (sequelize) => {
-  const User = require('./user')(sequelize)
+module.exports = (sequelize, options = {}) => {
+  const User = require('./user')(sequelize, options.hashOptions)
+  const AuditLog = require('./audit_log')(sequelize)
+  const PasswordResetToken = require('./password_reset_token')(sequelize)
+  const EmailVerificationToken = require('./email_verification_token')(sequelize)
+  const RecoveryCode = require('./recovery_code')(sequelize, options.recoveryCodeSecret)
+  const RememberToken = require('./remember_token')(sequelize)
+  const Session = require('./session')(sequelize)
+  const UserIdentity = require('./user_identity')(sequelize)
+  const ApiToken = require('./api_token')(sequelize)
 
-  // Sync models with database
-  sequelize.sync({ force: true }) // Recreate tables (use cautiously in production)
-    .then(() => console.log('Database synced'))
-    .catch(err => console.error('Failed to sync database:', err))
+  // Rows that belong to a user go away with it
+  for (const Owned of [PasswordResetToken, EmailVerificationToken, RecoveryCode, RememberToken, UserIdentity, ApiToken]) {
+    User.hasMany(Owned, { foreignKey: { name: 'user_id', allowNull: false }, onDelete: 'CASCADE' })
+    Owned.belongsTo(User, { foreignKey: 'user_id' })
+  }
+  // Anonymous sessions have no user
+  User.hasMany(Session, { foreignKey: 'user_id', onDelete: 'CASCADE' })
 
-  return { User }
+  return { User, AuditLog, PasswordResetToken, EmailVerificationToken, RecoveryCode, RememberToken, Session, UserIdentity, ApiToken }
 }
\ No newline at end of file
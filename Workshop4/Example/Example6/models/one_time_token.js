@@ -0,0 +1,71 @@
+const crypto = require('crypto')
+const { Model, DataTypes, Op } = require('sequelize')
+
+// Shared behaviour of tokens that are mailed to a user as part of a link.
+// Only a SHA-256 hash of each token is stored, so a leaked database does
+// not hand out working links. Subclasses set LIFETIME in milliseconds.
+class OneTimeToken extends Model {
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex')
+  }
+
+  // Create a new token for `user`, replacing any earlier one, and return
+  // the raw token that goes into the link
+  static async issue(user) {
+    const token = crypto.randomBytes(32).toString('base64url')
+    await this.destroy({ where: { user_id: user.id } })
+    await this.create({
+      user_id: user.id,
+      token_hash: this.hash(token),
+      expires_at: new Date(Date.now() + this.LIFETIME)
+    })
+    return token
+  }
+
+  // The token row for a raw token that is still usable, or null
+  static async findValid(token) {
+    return this.findOne({
+      where: {
+        token_hash: this.hash(token),
+        used_at: null,
+        expires_at: { [Op.gt]: new Date() }
+      }
+    })
+  }
+
+  // Mark the token as used; false if another request got there first
+  async consume(options = {}) {
+    const [claimed] = await this.constructor.update(
+      { used_at: new Date() },
+      { where: { id: this.id, used_at: null }, ...options }
+    )
+    return claimed > 0
+  }
+}
+
+OneTimeToken.attributes = {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  token_hash: {
+    type: DataTypes.STRING(64),
+    unique: true,
+    allowNull: false
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  used_at: {
+    type: DataTypes.DATE
+  }
+}
+
+module.exports = OneTimeToken
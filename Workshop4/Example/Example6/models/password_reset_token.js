@@ -0,0 +1,16 @@
+const OneTimeToken = require('./one_time_token')
+
+module.exports = (sequelize) => {
+  class PasswordResetToken extends OneTimeToken {}
+
+  PasswordResetToken.LIFETIME = 60 * 60 * 1000 // 1 hour in milliseconds
+
+  PasswordResetToken.init(OneTimeToken.attributes, {
+    sequelize,
+    modelName: 'PasswordResetToken',
+    tableName: 'password_reset_token',
+    timestamps: false
+  })
+
+  return PasswordResetToken
+}
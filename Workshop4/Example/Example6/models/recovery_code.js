@@ -0,0 +1,60 @@
+const crypto = require('crypto')
+const { Model, DataTypes } = require('sequelize')
+
+const CODE_COUNT = 10
+const CODE_BYTES = 10 // 80 bits, shown as four groups of five hex digits
+
+module.exports = (sequelize, secret) => {
+  // Single-use codes to log in with when the authenticator app is lost; each
+  // one gets past 2FA. They are stored as an HMAC keyed by `secret`, which is
+  // not in the database: without it a copy of the database gives no way to
+  // test guesses. A lookup by hash keeps redeem() one atomic update.
+  class RecoveryCode extends Model {
+    static hash(code) {
+      return crypto.createHmac('sha256', secret).update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex')
+    }
+
+    // Replace the codes of `user` with a fresh set and return them in clear
+    // text, for showing to the user exactly once
+    static async regenerate(user, options = {}) {
+      const codes = Array.from({ length: CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(CODE_BYTES).toString('hex')
+        return hex.match(/.{5}/g).join('-')
+      })
+      await this.destroy({ where: { user_id: user.id }, ...options })
+      await this.bulkCreate(codes.map(code => ({ user_id: user.id, code_hash: this.hash(code) })), options)
+      return codes
+    }
+
+    // Use up one of the codes of `user`; false if it is unknown or used
+    static async redeem(user, code) {
+      const [claimed] = await this.update(
+        { used_at: new Date() },
+        { where: { user_id: user.id, code_hash: this.hash(code || ''), used_at: null } }
+      )
+      return claimed > 0
+    }
+  }
+
+  RecoveryCode.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    code_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    used_at: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'RecoveryCode',
+    tableName: 'recovery_code',
+    timestamps: false
+  })
+
+  return RecoveryCode
+}
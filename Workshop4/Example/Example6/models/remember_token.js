@@ -0,0 +1,87 @@
+const crypto = require('crypto')
+const { Model, DataTypes } = require('sequelize')
+
+module.exports = (sequelize) => {
+  // A long-lived login kept in a cookie as "<selector>:<validator>". The
+  // selector finds the row, the validator proves the cookie is genuine and
+  // is stored only as a SHA-256 hash. Each use swaps in a new validator.
+  class RememberToken extends Model {
+    static hash(validator) {
+      return crypto.createHash('sha256').update(validator).digest('hex')
+    }
+
+    static newValidator() {
+      return crypto.randomBytes(32).toString('base64url')
+    }
+
+    static async issue(user, lifetime) {
+      const selector = crypto.randomBytes(12).toString('base64url')
+      const validator = this.newValidator()
+      await this.create({
+        user_id: user.id,
+        selector,
+        validator_hash: this.hash(validator),
+        expires_at: new Date(Date.now() + lifetime)
+      })
+      return `${selector}:${validator}`
+    }
+
+    matches(validator) {
+      return safeEqual(this.validator_hash, RememberToken.hash(validator))
+    }
+
+    // The validator this token had before its last rotation
+    matchesPrevious(validator) {
+      return Boolean(this.previous_validator_hash) &&
+        safeEqual(this.previous_validator_hash, RememberToken.hash(validator))
+    }
+
+    // Replace the validator and return the new cookie value
+    async rotate() {
+      const validator = RememberToken.newValidator()
+      this.previous_validator_hash = this.validator_hash
+      this.validator_hash = RememberToken.hash(validator)
+      this.rotated_at = new Date()
+      await this.save()
+      return `${this.selector}:${validator}`
+    }
+  }
+
+  function safeEqual(a, b) {
+    return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b))
+  }
+
+  RememberToken.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    selector: {
+      type: DataTypes.STRING(32),
+      unique: true,
+      allowNull: false
+    },
+    validator_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    previous_validator_hash: {
+      type: DataTypes.STRING(64)
+    },
+    rotated_at: {
+      type: DataTypes.DATE
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'RememberToken',
+    tableName: 'remember_token',
+    timestamps: false
+  })
+
+  return RememberToken
+}
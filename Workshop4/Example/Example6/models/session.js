@@ -0,0 +1,44 @@
+const { Model, DataTypes } = require('sequelize')
+
+module.exports = (sequelize) => {
+  // Server-side session data for @fastify/session, see utils/session_store.js.
+  // user_id, user_agent, ip and last_seen_at are copied out of the data so
+  // a user can be shown where they are logged in.
+  class Session extends Model {}
+
+  Session.init({
+    sid: {
+      type: DataTypes.STRING(64),
+      primaryKey: true
+    },
+    data: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.INTEGER
+    },
+    user_agent: {
+      type: DataTypes.STRING(255)
+    },
+    ip: {
+      type: DataTypes.STRING(64)
+    },
+    last_seen_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'Session',
+    tableName: 'session',
+    timestamps: false,
+    indexes: [{ fields: ['user_id'] }, { fields: ['expires_at'] }]
+  })
+
+  return Session
+}
@@ -1,14 +1,58 @@
-const argon2 = require('argon2')
 const { Model, DataTypes } = require('sequelize')
+const passwords = require('../utils/passwords')
+const totp = require('../utils/totp')
 
-module.exports = (sequelize) => {
+// What each role is allowed to do, from most to least privileged
+const PERMISSIONS = {
+  admin: ['manage_users', 'edit_content', 'view_content'],
+  editor: ['edit_content', 'view_content'],
+  viewer: ['view_content']
+}
+const ROLES = Object.keys(PERMISSIONS)
+
+// `hashOptions` are the argon2 settings for new password hashes
+module.exports = (sequelize, hashOptions) => {
   class User extends Model {
+    hasRole(...roles) {
+      return roles.includes(this.role)
+    }
+
+    can(permission) {
+      return (PERMISSIONS[this.role] || []).includes(permission)
+    }
+
+    get isVerified() {
+      return Boolean(this.email_verified_at)
+    }
+
+    get hasTwoFactor() {
+      return Boolean(this.totp_secret)
+    }
+
+    // Accept a current authenticator code, each one only once
+    async checkTotp(code) {
+      const step = this.totp_secret ? totp.verify(this.totp_secret, code) : null
+      if (step === null || step <= (this.totp_last_step || 0)) {
+        return false
+      }
+      this.totp_last_step = step
+      await this.save()
+      return true
+    }
+
     async setPassword(password) {
-      this.password_hash = await argon2.hash(password)
+      this.password_hash = await passwords.hash(password, hashOptions)
     }
 
+    // A correct password whose hash uses outdated settings is hashed again
+    // with the current ones while we have it in plain text
     async checkPassword(password) {
-      return argon2.verify(this.password_hash, password)
+      const valid = await passwords.verify(this.password_hash, password)
+      if (valid && passwords.needsRehash(this.password_hash, hashOptions)) {
+        await this.setPassword(password)
+        await this.save({ fields: ['password_hash'] })
+      }
+      return valid
     }
   }
 
@@ -23,9 +67,50 @@ module.exports = (sequelize) => {
       unique: true,
       allowNull: false
     },
+    email: {
+      type: DataTypes.STRING(254),
+      unique: true,
+      allowNull: false,
+      validate: { isEmail: true }
+    },
+    email_verified_at: {
+      type: DataTypes.DATE
+    },
     password_hash: {
       type: DataTypes.STRING(200),
       allowNull: false
+    },
+    role: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'viewer',
+      validate: { isIn: [ROLES] }
+    },
+    locked: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Set by an admin; the user has to pick a new password after logging in
+    must_reset_password: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Bumped whenever the password changes; sessions that remember an older
+    // value are logged out
+    session_version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Base32 TOTP secret, set while two-factor authentication is on
+    totp_secret: {
+      type: DataTypes.STRING(64)
+    },
+    // Time step of the last accepted code, so no code works twice
+    totp_last_step: {
+      type: DataTypes.INTEGER
     }
   }, {
     sequelize,
@@ -34,5 +119,8 @@ module.exports = (sequelize) => {
     timestamps: false
   })
 
+  User.ROLES = ROLES
+  User.PERMISSIONS = PERMISSIONS
+
   return User
 }
\ No newline at end of file
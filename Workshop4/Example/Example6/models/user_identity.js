@@ -0,0 +1,42 @@
+const { Model, DataTypes } = require('sequelize')
+
+// An account at an OpenID Connect provider that can log in as a user,
+// identified by the provider's `sub` claim
+module.exports = (sequelize) => {
+  class UserIdentity extends Model {}
+
+  UserIdentity.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    provider: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING(254)
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    last_login_at: {
+      type: DataTypes.DATE
+    }
+  }, {
+    sequelize,
+    modelName: 'UserIdentity',
+    tableName: 'user_identity',
+    timestamps: false,
+    indexes: [{ unique: true, fields: ['provider', 'subject'] }]
+  })
+
+  return UserIdentity
+}
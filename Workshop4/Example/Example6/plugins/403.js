@@ -0,0 +1,11 @@
+const fp = require('fastify-plugin')
+
+module.exports = fp(async (fastify, opts) => {
+    await fastify.decorateReply('forbidden', function () {
+        return this.code(403).view('403', {
+            title: 'Access Denied',
+            url: this.request.raw.url,
+            session: this.request.session
+        })
+    })
+})
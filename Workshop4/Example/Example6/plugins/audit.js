@@ -0,0 +1,14 @@
+const fp = require('fastify-plugin')
+
+module.exports = fp(async (fastify, opts) => {
+  // Record who did what to which account, e.g.
+  // await fastify.audit(request.user, 'lock', user)
+  fastify.decorate('audit', async (actor, action, target, details = null) => {
+    await fastify.models.AuditLog.create({
+      actor: actor.username,
+      action,
+      target: target.username,
+      details
+    })
+  })
+})
@@ -1,10 +1,111 @@
 const fp = require('fastify-plugin')
 
+// Pages a user who has to choose a new password can still reach
+const PASSWORD_RESET_ALLOWED = ['/change-password', '/logout', '/static/']
+
+// What users who have not confirmed their email address yet may do,
+// set with UNVERIFIED_POLICY in plugins/config.js:
+//   'allow'   - everything, verification is only a reminder
+//   'limited' - log in, but only reach the pages in UNVERIFIED_ALLOWED
+//   'block'   - not log in at all
+const UNVERIFIED_ALLOWED = ['/profile', '/verify/', '/resend-verification', '/change-password', '/logout', '/static/']
+
 module.exports = fp(async (fastify, opts) => {
+  const unverifiedPolicy = fastify.config.UNVERIFIED_POLICY
+  fastify.decorate('unverifiedPolicy', unverifiedPolicy)
+
+  fastify.decorateRequest('user', null)
+
+  // Load the logged in user on every request, so locking an account, deleting
+  // it or changing its role takes effect immediately; it is available as
+  // request.user and to every template as currentUser.
+  fastify.addHook('preHandler', async (request, reply) => {
+    if (!request.session) return
+    if (!request.session.get('user_id')) {
+      // Not logged in: a remember-me cookie may still log the request in
+      if (request.url.startsWith('/static/') || !(await fastify.rememberMe.restore(request, reply))) return
+    }
+    const userId = request.session.get('user_id')
+    const user = await fastify.models.User.findByPk(userId)
+    let problem = null
+    if (!user) {
+      problem = 'Your account no longer exists.'
+    } else if (user.locked) {
+      problem = 'Your account has been locked.'
+    } else if (request.session.get('session_version') !== user.session_version) {
+      problem = 'Your password was changed, please log in again.'
+    }
+    if (problem) {
+      fastify.logOut(request)
+      // API requests carry on logged out and get a JSON error from fastify.authenticate
+      if (request.url.startsWith('/api/')) return
+      request.flash('danger', problem)
+      return reply.redirect('/login')
+    }
+    request.user = user
+    if (request.session.get('ip') !== request.ip) {
+      request.session.set('ip', request.ip)
+    }
+    reply.locals = {
+      ...reply.locals,
+      session: request.session,
+      currentUser: { username: user.username, role: user.role, isAdmin: user.hasRole('admin') }
+    }
+    // fastify.authenticate answers these in JSON for the API
+    if (request.url.startsWith('/api/')) return
+    if (user.must_reset_password && !PASSWORD_RESET_ALLOWED.some(url => request.url.startsWith(url))) {
+      request.flash('info', 'Please choose a new password before continuing.')
+      return reply.redirect('/change-password')
+    }
+    if (unverifiedPolicy !== 'allow' && !user.isVerified &&
+        request.url !== '/' && !UNVERIFIED_ALLOWED.some(url => request.url.startsWith(url))) {
+      request.flash('info', 'Please confirm your email address to use this page.')
+      return reply.redirect('/profile')
+    }
+  })
+
+  fastify.decorate('logIn', (request, user) => {
+    request.session.set('user_id', user.id)
+    request.session.set('user', user.username)
+    request.session.set('session_version', user.session_version)
+    // Shown on the active sessions page
+    request.session.set('user_agent', request.headers['user-agent'] || null)
+    request.session.set('ip', request.ip)
+  })
+
+  fastify.decorate('logOut', request => {
+    request.session.set('user_id', undefined)
+    request.session.set('user', undefined)
+    request.session.set('session_version', undefined)
+  })
+
   fastify.decorate('loginRequired',  async (request, reply) => {
       if (!request.session.get('user')) {
         request.flash('danger', 'You must log in to access this page.')
         return reply.redirect('/login')
       }
     })
-  })
+
+  // Build a preHandler that lets the request through only when `allowed(user)`
+  // holds for the logged in user
+  function guard(allowed) {
+    return async (request, reply) => {
+      if (!request.user) {
+        request.flash('danger', 'You must log in to access this page.')
+        return reply.redirect('/login')
+      }
+      if (!allowed(request.user)) {
+        return reply.forbidden()
+      }
+    }
+  }
+
+  // e.g. { preHandler: fastify.requireRole('admin', 'editor') }
+  fastify.decorate('requireRole', (...roles) => guard(user => user.hasRole(...roles)))
+
+  // e.g. { preHandler: fastify.requirePermission('manage_users') }
+  fastify.decorate('requirePermission', name => guard(user => user.can(name)))
+}, {
+  name: 'auth',
+  dependencies: ['config']
+})
@@ -0,0 +1,67 @@
+const fp = require('fastify-plugin')
+const { STATUS_CODES } = require('http')
+
+// Authentication for the JSON API in routes/api: a request is made either
+// with a personal access token (Authorization: Bearer pat_...) or with the
+// session cookie of the HTML pages. Failures are JSON errors, e.g.
+// { preHandler: [fastify.authenticate, fastify.requireScope('users:read')] }
+module.exports = fp(async (fastify, opts) => {
+  fastify.decorateRequest('apiToken', null)
+
+  // An error body in the same shape as Fastify's own, e.g. for validation
+  fastify.decorateReply('apiError', function (statusCode, message) {
+    return this.code(statusCode).send({ statusCode, error: STATUS_CODES[statusCode], message })
+  })
+
+  // Why `user` may not use the API right now, if there is a reason
+  fastify.decorate('apiRestriction', user => {
+    if (user.locked) {
+      return 'This account is locked.'
+    }
+    if (user.must_reset_password) {
+      return 'Please choose a new password on the website first.'
+    }
+    if (fastify.unverifiedPolicy !== 'allow' && !user.isVerified) {
+      return 'Please confirm your email address first.'
+    }
+    return null
+  })
+
+  fastify.decorate('authenticate', async (request, reply) => {
+    const header = request.headers.authorization
+    if (header) {
+      const [scheme, token] = header.split(' ')
+      const apiToken = scheme === 'Bearer' && token ? await fastify.models.ApiToken.findValid(token) : null
+      const user = apiToken && await apiToken.getUser()
+      if (!user) {
+        reply.header('www-authenticate', 'Bearer error="invalid_token"')
+        return reply.apiError(401, 'The access token is invalid, expired or revoked.')
+      }
+      await apiToken.touch()
+      request.user = user
+      request.apiToken = apiToken
+    } else if (!request.user) {
+      reply.header('www-authenticate', 'Bearer')
+      return reply.apiError(401, 'Authentication required.')
+    }
+    const restriction = fastify.apiRestriction(request.user)
+    if (restriction) {
+      return reply.apiError(403, restriction)
+    }
+  })
+
+  // Tokens only get to do what their scopes allow; sessions may do anything
+  // their user may. Either way the user needs the scope's permission.
+  fastify.decorate('requireScope', scope => async (request, reply) => {
+    const permission = fastify.models.ApiToken.SCOPES[scope]
+    if (permission && !request.user.can(permission)) {
+      return reply.apiError(403, 'You do not have permission to do this.')
+    }
+    if (request.apiToken && !request.apiToken.hasScope(scope)) {
+      return reply.apiError(403, `This access token does not have the ${scope} scope.`)
+    }
+  })
+}, {
+  name: 'authenticate',
+  dependencies: ['auth', 'sequelize']
+})
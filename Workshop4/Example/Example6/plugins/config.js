@@ -0,0 +1,98 @@
+const fp = require('fastify-plugin')
+const fs = require('fs')
+const path = require('path')
+
+// The secrets this example ships with; fine on a laptop, never in production
+const EXAMPLE_SECRET = 'c88bb69cca16b53452cf666476f6c6022c87f4f437c74de68d81c63a'
+const EXAMPLE_RECOVERY_CODE_SECRET = '5f0d2e8b4c7a91e36b2d8f14a0c95e7d3b6a1f48e2c07d95'
+
+// Every setting of the app. Values come from, in increasing priority:
+// the defaults below, a JSON file (config.json or $CONFIG_FILE), a .env file
+// and the environment, and are checked against this schema at startup.
+const schema = {
+  type: 'object',
+  required: ['SESSION_SECRET'],
+  properties: {
+    NODE_ENV: { type: 'string', enum: ['development', 'production', 'test'], default: 'development' },
+    HOST: { type: 'string', default: 'localhost' },
+    PORT: { type: 'integer', minimum: 0, maximum: 65535, default: 3000 },
+    // Where users reach the app, e.g. https://example.com; links in emails
+    // start with it. Defaults to http://HOST:PORT outside production.
+    PUBLIC_URL: { type: 'string', pattern: '^https?://[^/?#\\s]+(/[^?#\\s]*)?$' },
+    SESSION_SECRET: { type: 'string', minLength: 32, default: EXAMPLE_SECRET },
+    // Key for the hashes of 2FA recovery codes. Kept apart from SESSION_SECRET
+    // so that rotating that one does not void every user's recovery codes.
+    RECOVERY_CODE_SECRET: { type: 'string', minLength: 32, default: EXAMPLE_RECOVERY_CODE_SECRET },
+    SESSION_MAX_AGE: { type: 'integer', minimum: 60000, default: 15 * 60 * 1000 }, // milliseconds
+    COOKIE_SECURE: { type: 'boolean', default: false }, // true in production with HTTPS
+    DATABASE_STORAGE: { type: 'string', minLength: 1, default: 'database.db' },
+    UNVERIFIED_POLICY: { type: 'string', enum: ['allow', 'limited', 'block'], default: 'limited' },
+    PASSWORD_MIN_LENGTH: { type: 'integer', minimum: 8, maximum: 128, default: 10 },
+    PASSWORD_MIN_SCORE: { type: 'integer', minimum: 0, maximum: 4, default: 3 }, // zxcvbn score
+    // argon2id cost; stored hashes are upgraded to it when their owners log in
+    ARGON2_MEMORY_COST: { type: 'integer', minimum: 19456, default: 65536 }, // KiB
+    ARGON2_TIME_COST: { type: 'integer', minimum: 2, default: 3 },
+    ARGON2_PARALLELISM: { type: 'integer', minimum: 1, maximum: 16, default: 4 },
+    // 'sqlite' keeps rate limit counters in the database, shared by every
+    // process that uses it; 'memory' is faster but per process
+    RATE_LIMIT_STORE: { type: 'string', enum: ['memory', 'sqlite'], default: 'memory' },
+    MAIL_FROM: { type: 'string', default: 'MyApp <no-reply@localhost>' },
+    MAIL_OUTBOX: { type: 'string', default: 'outbox' },
+    // "Sign in with ..." buttons; a list is easiest to give in config.json
+    OIDC_PROVIDERS: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'issuer', 'client_id'],
+        properties: {
+          id: { type: 'string', pattern: '^[a-z0-9-]{1,50}$' }, // used in URLs
+          name: { type: 'string', minLength: 1 },                // shown on buttons
+          issuer: { type: 'string', pattern: '^https?://' },
+          client_id: { type: 'string', minLength: 1 },
+          client_secret: { type: 'string' },
+          scope: { type: 'string', default: 'openid email profile' }
+        }
+      }
+    }
+  }
+}
+
+function readConfigFile() {
+  const file = process.env.CONFIG_FILE || path.join(__dirname, '../config.json')
+  if (!process.env.CONFIG_FILE && !fs.existsSync(file)) {
+    return {}
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'))
+}
+
+module.exports = fp(async (fastify, opts) => {
+  await fastify.register(require('@fastify/env'), {
+    schema,
+    dotenv: { path: path.join(__dirname, '../.env'), quiet: true },
+    // Later sources win; process.env is read after .env has been loaded into it
+    env: false,
+    data: [readConfigFile(), process.env]
+  })
+
+  const { config } = fastify
+  if (config.NODE_ENV === 'production') {
+    if (config.SESSION_SECRET === EXAMPLE_SECRET) {
+      throw new Error('SESSION_SECRET is still the example secret; set a random one for production')
+    }
+    if (config.RECOVERY_CODE_SECRET === EXAMPLE_RECOVERY_CODE_SECRET) {
+      throw new Error('RECOVERY_CODE_SECRET is still the example secret; set a random one for production')
+    }
+    if (!config.PUBLIC_URL) {
+      throw new Error('PUBLIC_URL is not set; links in emails need to know where the app is')
+    }
+    if (!config.COOKIE_SECURE) {
+      fastify.log.warn('COOKIE_SECURE is off in production; cookies will be sent over plain HTTP')
+    }
+  }
+  // Never taken from the request: its Host header is whatever the client
+  // sends, and a reset link pointing elsewhere would hand over the token
+  config.PUBLIC_URL = (config.PUBLIC_URL || `http://${config.HOST}:${config.PORT}`).replace(/\/+$/, '')
+}, {
+  name: 'config'
+})
@@ -0,0 +1,47 @@
+const fp = require('fastify-plugin')
+const fs = require('fs')
+const path = require('path')
+
+// Default transport: instead of talking to an SMTP server, every message is
+// written to its own file in the outbox folder and summarised in outbox.log,
+// so links in emails can be followed while developing.
+class OutboxTransport {
+  constructor(folder) {
+    this.folder = folder
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.folder, { recursive: true })
+    const date = new Date()
+    const name = `${date.toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^\w.@-]/g, '_')}.eml`
+    const contents = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${date.toUTCString()}`,
+      '',
+      message.text
+    ].join('\n')
+    await fs.promises.writeFile(path.join(this.folder, name), contents)
+    await fs.promises.appendFile(
+      path.join(this.folder, 'outbox.log'),
+      `${date.toISOString()} to=${message.to} subject=${JSON.stringify(message.subject)} file=${name}\n`
+    )
+  }
+}
+
+// Any object with an async send({ from, to, subject, text }) can be passed
+// as the `transport` option, e.g. a wrapper around an SMTP library
+module.exports = fp(async (fastify, opts) => {
+  const transport = opts.transport || new OutboxTransport(path.resolve(__dirname, '..', fastify.config.MAIL_OUTBOX))
+  const from = fastify.config.MAIL_FROM
+
+  fastify.decorate('mailer', {
+    send: message => transport.send({ from, ...message })
+  })
+}, {
+  name: 'mailer',
+  dependencies: ['config']
+})
+
+module.exports.OutboxTransport = OutboxTransport
@@ -0,0 +1,23 @@
+const fp = require('fastify-plugin')
+const { OidcClient } = require('../utils/oidc')
+
+// One OpenID Connect client per entry of OIDC_PROVIDERS; routes/oidc.js
+// has the login flow
+module.exports = fp(async (fastify, opts) => {
+  const clients = new Map(fastify.config.OIDC_PROVIDERS.map(provider => [provider.id, new OidcClient(provider)]))
+  if (clients.size !== fastify.config.OIDC_PROVIDERS.length) {
+    throw new Error('Every entry of OIDC_PROVIDERS needs a different id')
+  }
+
+  fastify.decorate('oidc', {
+    // For "Sign in with ..." buttons
+    providers: fastify.config.OIDC_PROVIDERS.map(({ id, name }) => ({ id, name })),
+
+    client(id) {
+      return clients.get(id) || null
+    }
+  })
+}, {
+  name: 'oidc',
+  dependencies: ['config']
+})
@@ -0,0 +1,59 @@
+const fp = require('fastify-plugin')
+const fs = require('fs')
+const path = require('path')
+const zxcvbn = require('zxcvbn')
+
+const MAX_LENGTH = 1024
+// zxcvbn gets slow on very long input, and a password this long is strong anyway
+const ESTIMATE_LENGTH = 100
+
+function loadCommonPasswords() {
+  const lines = fs.readFileSync(path.join(__dirname, '../data/common_passwords.txt'), 'utf8').split('\n')
+  return new Set(lines.filter(line => line && !line.startsWith('#')).map(line => line.toLowerCase()))
+}
+
+// Decides which new passwords are acceptable. The minimum length and the
+// minimum zxcvbn score (0 = guessable in a few tries .. 4 = very hard to guess)
+// are PASSWORD_MIN_LENGTH and PASSWORD_MIN_SCORE in plugins/config.js.
+module.exports = fp(async (fastify, opts) => {
+  const minLength = fastify.config.PASSWORD_MIN_LENGTH
+  const minScore = fastify.config.PASSWORD_MIN_SCORE
+  const commonPasswords = loadCommonPasswords()
+
+  fastify.decorate('passwordPolicy', {
+    minLength,
+    maxLength: MAX_LENGTH,
+
+    // What is wrong with `password` for the account with this username and
+    // email, as messages for the user; empty when it may be used
+    check(password, { username, email } = {}) {
+      if (password.length < minLength) {
+        return [`Use at least ${minLength} characters.`]
+      }
+      if (password.length > MAX_LENGTH) {
+        return [`Use at most ${MAX_LENGTH} characters.`]
+      }
+      const lower = password.toLowerCase()
+      const personal = [username, email, email && email.split('@')[0]]
+        .filter(value => value && value.length >= 3)
+        .map(value => value.toLowerCase())
+      if (personal.some(value => lower.includes(value))) {
+        return ['Do not use your username or email address in your password.']
+      }
+      if (commonPasswords.has(lower)) {
+        return ['This is one of the most commonly used passwords. Please choose another one.']
+      }
+      const { score, feedback } = zxcvbn(password.slice(0, ESTIMATE_LENGTH), personal)
+      if (score < minScore) {
+        // zxcvbn ends some of its hints with a full stop and some without
+        return ['This password is too easy to guess.', feedback.warning, ...feedback.suggestions]
+          .filter(Boolean)
+          .map(message => message.endsWith('.') ? message : `${message}.`)
+      }
+      return []
+    }
+  })
+}, {
+  name: 'password-policy',
+  dependencies: ['config']
+})
@@ -0,0 +1,95 @@
+const fp = require('fastify-plugin')
+const sqlite3 = require('sqlite3')
+const { RateLimiter, MemoryStore, SqliteStore } = require('../utils/rate-limit')
+
+const BUSY_TIMEOUT = 5000 // milliseconds to wait for a write lock
+
+// Who a rule counts requests for
+const keys = {
+  ip: request => `ip:${request.ip}`,
+  // The logged in user, else the IP address
+  user: request => (request.user ? `user:${request.user.id}` : keys.ip(request)),
+  // The API token, else the user (e.g. with the session cookie)
+  token: request => (request.apiToken ? `token:${request.apiToken.id}` : keys.user(request))
+}
+
+// How long to wait, in words
+function waitText(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`
+  }
+  const minutes = Math.ceil(seconds / 60)
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`
+}
+
+// A connection of its own to the database for the sqlite store. Unlike
+// sequelize.query(), which has no rows for an INSERT, it returns those of
+// INSERT ... RETURNING; and it waits for other processes writing the file
+// instead of failing at once.
+function openDatabase(filename) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(filename, err => {
+      if (err) return reject(err)
+      db.configure('busyTimeout', BUSY_TIMEOUT)
+      resolve({
+        query: (sql, params = []) => new Promise((resolve, reject) => {
+          db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)))
+        }),
+        close: () => new Promise(resolve => db.close(() => resolve()))
+      })
+    })
+  })
+}
+
+// Limits on how often a client may call a route, e.g.
+//   { preHandler: fastify.rateLimit({ max: 5, window: 60 * 60 * 1000 }) }
+// A rule (see utils/rate-limit.js) takes:
+//   name      - routes with the same name share a counter; by default every
+//               route has its own
+//   algorithm - 'fixed-window' (default) or 'token-bucket'
+//   max       - requests allowed per window
+//   window    - milliseconds
+//   key       - 'ip' (default), 'user', 'token' or a function of the request
+// Every response says where the client stands in RateLimit-Limit,
+// RateLimit-Remaining and RateLimit-Reset. Past the limit pages get the
+// "slow down" page and the API a JSON error, with status 429 and Retry-After.
+module.exports = fp(async (fastify, opts) => {
+  // The memory store counts for this process only; with several processes
+  // the sqlite store shares the counters through the database
+  const db = fastify.config.RATE_LIMIT_STORE === 'sqlite' ? await openDatabase(fastify.config.DATABASE_STORAGE) : null
+  const limiter = new RateLimiter(db ? new SqliteStore(db) : new MemoryStore())
+  fastify.addHook('onClose', async () => {
+    await limiter.close()
+    if (db) await db.close()
+  })
+
+  fastify.decorate('rateLimit', options => {
+    const rule = RateLimiter.validate({ algorithm: 'fixed-window', key: 'ip', ...options })
+    const keyOf = typeof rule.key === 'function' ? rule.key : keys[rule.key]
+    if (!keyOf) {
+      throw new Error(`Unknown rate limit key "${rule.key}"`)
+    }
+
+    return async (request, reply) => {
+      const name = rule.name || `${request.method} ${request.routeOptions.url}`
+      const result = await limiter.hit({ ...rule, name }, keyOf(request))
+      reply.header('ratelimit-limit', result.limit)
+      reply.header('ratelimit-remaining', result.remaining)
+      reply.header('ratelimit-reset', result.reset)
+      if (result.allowed) return
+
+      reply.header('retry-after', result.retryAfter)
+      if (request.url.startsWith('/api/')) {
+        return reply.apiError(429, `Too many requests. Please try again in ${waitText(result.retryAfter)}.`)
+      }
+      return reply.code(429).view('429', {
+        title: 'Slow Down',
+        wait: waitText(result.retryAfter),
+        session: request.session
+      })
+    }
+  })
+}, {
+  name: 'rate-limit',
+  dependencies: ['config', 'authenticate']
+})
@@ -0,0 +1,93 @@
+const fp = require('fastify-plugin')
+
+const COOKIE_NAME = 'remember_me'
+const LIFETIME = 30 * 24 * 60 * 60 * 1000 // 30 days in milliseconds
+// Requests sent at the same time all carry the old cookie; for a little
+// while after a rotation the previous validator is still accepted
+const ROTATION_GRACE = 60 * 1000
+
+module.exports = fp(async (fastify, opts) => {
+  const cookieOptions = {
+    path: '/',
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: fastify.config.COOKIE_SECURE,
+    maxAge: LIFETIME / 1000 // seconds
+  }
+
+  function parse(request) {
+    const [selector, validator] = (request.cookies[COOKIE_NAME] || '').split(':')
+    return selector && validator ? { selector, validator } : null
+  }
+
+  function clearCookie(reply) {
+    reply.clearCookie(COOKIE_NAME, { path: '/' })
+  }
+
+  fastify.decorate('rememberMe', {
+    // Give the browser a token that logs `user` back in later
+    async issue(request, reply, user) {
+      const value = await fastify.models.RememberToken.issue(user, LIFETIME)
+      reply.setCookie(COOKIE_NAME, value, cookieOptions)
+      // Lets revoking this session on the sessions page revoke the token too
+      request.session.set('remember_selector', value.split(':')[0])
+    },
+
+    // Log the request in from its remember-me cookie, if it has a good one.
+    // Resolves to the user, or null.
+    async restore(request, reply) {
+      const cookie = parse(request)
+      if (!cookie) return null
+      const { RememberToken } = fastify.models
+      const token = await RememberToken.findOne({ where: { selector: cookie.selector } })
+      if (!token || token.expires_at < new Date()) {
+        if (token) await token.destroy()
+        clearCookie(reply)
+        return null
+      }
+
+      let value = null
+      if (token.matches(cookie.validator)) {
+        value = await token.rotate()
+      } else if (!(token.matchesPrevious(cookie.validator) && Date.now() - token.rotated_at < ROTATION_GRACE)) {
+        // A validator that was already used up: someone else has a copy of
+        // this cookie. Log the account out everywhere to be safe.
+        const user = await token.getUser()
+        await fastify.rememberMe.revokeAll(user)
+        user.session_version += 1
+        await user.save()
+        clearCookie(reply)
+        request.flash('danger', 'Your saved login was used from somewhere else, so you have been logged out everywhere. Please log in and consider changing your password.')
+        return null
+      }
+
+      const user = await token.getUser()
+      if (!user || user.locked) {
+        await token.destroy()
+        clearCookie(reply)
+        return null
+      }
+      if (value) reply.setCookie(COOKIE_NAME, value, cookieOptions)
+      fastify.logIn(request, user)
+      request.session.set('remember_selector', token.selector)
+      return user
+    },
+
+    // Forget the token of this browser, e.g. on logout
+    async forget(request, reply) {
+      const cookie = parse(request)
+      if (cookie) {
+        await fastify.models.RememberToken.destroy({ where: { selector: cookie.selector } })
+      }
+      clearCookie(reply)
+    },
+
+    // Forget every token of `user`, e.g. when the password changes
+    async revokeAll(user) {
+      await fastify.models.RememberToken.destroy({ where: { user_id: user.id } })
+    }
+  })
+}, {
+  name: 'remember-me',
+  dependencies: ['config']
+})
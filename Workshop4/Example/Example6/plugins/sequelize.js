@@ -1,24 +1,45 @@
 const fp = require('fastify-plugin')
+const path = require('path')
 const { Sequelize } = require('sequelize')
+const Migrator = require('../utils/migrator')
+const passwords = require('../utils/passwords')
 
 module.exports = fp(async (fastify, opts) => {
   // Initialize Sequelize
   const sequelize = new Sequelize({
     dialect: 'sqlite',
-    storage: 'database.db',
+    storage: fastify.config.DATABASE_STORAGE,
     logging: false
   })
 
  
-  const models = require('../models')(sequelize)
+  const models = require('../models')(sequelize, {
+    hashOptions: passwords.hashOptions(fastify.config),
+    recoveryCodeSecret: fastify.config.RECOVERY_CODE_SECRET
+  })
+
+  const migrator = new Migrator({
+    query: async (sql, params = []) => (await sequelize.query(sql, { replacements: params }))[0],
+    context: { queryInterface: sequelize.getQueryInterface(), Sequelize }
+  }, path.join(__dirname, '../migrations'))
 
-  
   fastify.decorate('sequelize', sequelize)
   fastify.decorate('models', models)
+  fastify.decorate('migrator', migrator)
 
   
   fastify.addHook('onClose', async (fastify, done) => {
     await sequelize.close()
     done()
   })
-})
\ No newline at end of file
+
+  // The schema comes from the migrations, not from the models; refuse to
+  // start on one that does not match the code
+  // (migrate.js registers this plugin with checkSchema: false)
+  if (opts.checkSchema !== false) {
+    await migrator.check()
+  }
+}, {
+  name: 'sequelize',
+  dependencies: ['config']
+})
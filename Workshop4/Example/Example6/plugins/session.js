@@ -1,16 +1,34 @@
 const fp = require('fastify-plugin')
+const SequelizeSessionStore = require('../utils/session_store')
+
+const CLEANUP_INTERVAL = 15 * 60 * 1000 // 15 minutes in milliseconds
 
 module.exports = fp(async (fastify, opts) => {
+  // Keep sessions in the database rather than in process memory
+  const store = new SequelizeSessionStore(fastify.models.Session)
+
   fastify.register(require('@fastify/cookie'))
   fastify.register(require('@fastify/session'), {
-    secret: 'c88bb69cca16b53452cf666476f6c6022c87f4f437c74de68d81c63a', // change in production
+    secret: fastify.config.SESSION_SECRET,
+    store,
     cookie: {
-      secure: false,       // true in production with HTTPS
+      secure: fastify.config.COOKIE_SECURE,
       httpOnly: true,      // prevents access via client-side JS
       sameSite: 'lax',     // helps prevent CSRF
-      maxAge: 15 * 60 * 1000 // 15 minutes in milliseconds
+      maxAge: fastify.config.SESSION_MAX_AGE
     },
     saveUninitialized: false
   })
   fastify.register(require('@fastify/flash'))
-})
\ No newline at end of file
+
+  fastify.decorate('sessionStore', store)
+
+  const cleanup = setInterval(() => {
+    store.clearExpired().catch(err => fastify.log.error(err, 'Failed to clear expired sessions'))
+  }, CLEANUP_INTERVAL)
+  cleanup.unref()
+  fastify.addHook('onClose', async () => clearInterval(cleanup))
+}, {
+  name: 'session',
+  dependencies: ['config', 'sequelize']
+})
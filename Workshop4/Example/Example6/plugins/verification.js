@@ -0,0 +1,37 @@
+const fp = require('fastify-plugin')
+
+const RESEND_COOLDOWN = 60 * 1000 // 1 minute in milliseconds
+
+module.exports = fp(async (fastify, opts) => {
+  // Mail `user` a link to /verify/:token. Resolves to the number of seconds
+  // to wait before another message may be sent, or 0 once it went out.
+  fastify.decorate('sendVerificationEmail', async user => {
+    const { EmailVerificationToken } = fastify.models
+    const previous = await EmailVerificationToken.findOne({ where: { user_id: user.id } })
+    const wait = previous ? previous.created_at.getTime() + RESEND_COOLDOWN - Date.now() : 0
+    if (wait > 0) {
+      return Math.ceil(wait / 1000)
+    }
+
+    const token = await EmailVerificationToken.issue(user)
+    const link = `${fastify.config.PUBLIC_URL}/verify/${token}`
+    await fastify.mailer.send({
+      to: user.email,
+      subject: 'Please confirm your email address',
+      text: [
+        `Hello ${user.username},`,
+        '',
+        'Please confirm that this is your email address by opening the link below',
+        'within the next 24 hours:',
+        '',
+        link,
+        '',
+        'If you did not create an account, you can ignore this message.'
+      ].join('\n')
+    })
+    return 0
+  })
+}, {
+  name: 'verification',
+  dependencies: ['config']
+})
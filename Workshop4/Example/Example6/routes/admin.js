@@ -0,0 +1,161 @@
+const collectMessages = require('../utils')
+const like = require('../utils/like')
+
+const PAGE_SIZE = 20
+
+module.exports = async (fastify, opts) => {
+  const adminOnly = { preHandler: fastify.requirePermission('manage_users') }
+
+  const listSchema = {
+    querystring: {
+      type: 'object',
+      properties: {
+        q: { type: 'string', maxLength: 150 },
+        page: { type: 'integer', minimum: 1, default: 1 }
+      }
+    }
+  }
+
+  const roleSchema = {
+    body: {
+      type: 'object',
+      required: ['role'],
+      properties: {
+        role: { type: 'string', enum: fastify.models.User.ROLES }
+      }
+    }
+  }
+
+  // Page links for a list of `count` rows, keeping the search term
+  function pagination(url, count, page, q) {
+    const pages = Math.max(Math.ceil(count / PAGE_SIZE), 1)
+    const link = number => `${url}?${new URLSearchParams({ ...(q ? { q } : {}), page: number })}`
+    return {
+      page,
+      pages,
+      prev: page > 1 ? link(page - 1) : null,
+      next: page < pages ? link(page + 1) : null
+    }
+  }
+
+  // Find the user an action is about, refusing actions on your own account
+  // so the last admin cannot lock themselves out
+  async function targetUser(request, reply) {
+    const user = await fastify.models.User.findByPk(request.params.id)
+    if (!user) {
+      request.flash('danger', 'That user does not exist.')
+      reply.redirect('/admin/users')
+      return null
+    }
+    if (user.id === request.user.id) {
+      request.flash('danger', 'You cannot do that to your own account.')
+      reply.redirect('/admin/users')
+      return null
+    }
+    return user
+  }
+
+  fastify.get('/admin/users', { ...adminOnly, schema: listSchema }, async (request, reply) => {
+    const { q, page } = request.query
+    const where = q ? like.contains(fastify.sequelize, 'username', q) : {}
+    const { count, rows } = await fastify.models.User.findAndCountAll({
+      where,
+      order: [['username', 'ASC']],
+      limit: PAGE_SIZE,
+      offset: (page - 1) * PAGE_SIZE
+    })
+    const roles = fastify.models.User.ROLES
+    const users = rows.map(user => ({
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      locked: user.locked,
+      must_reset_password: user.must_reset_password,
+      self: user.id === request.user.id,
+      roles: roles.map(role => ({ name: role, selected: role === user.role }))
+    }))
+    const messages = collectMessages(reply)
+    return reply.view('admin_users', {
+      users,
+      q,
+      count,
+      pagination: pagination('/admin/users', count, page, q),
+      messages: messages
+    })
+  })
+
+  fastify.post('/admin/users/:id/lock', adminOnly, async (request, reply) => {
+    const user = await targetUser(request, reply)
+    if (!user) return reply
+    user.locked = true
+    await user.save()
+    await fastify.audit(request.user, 'lock', user)
+    request.flash('success', `Locked ${user.username}.`)
+    return reply.redirect('/admin/users')
+  })
+
+  fastify.post('/admin/users/:id/unlock', adminOnly, async (request, reply) => {
+    const user = await targetUser(request, reply)
+    if (!user) return reply
+    user.locked = false
+    await user.save()
+    await fastify.audit(request.user, 'unlock', user)
+    request.flash('success', `Unlocked ${user.username}.`)
+    return reply.redirect('/admin/users')
+  })
+
+  fastify.post('/admin/users/:id/reset-password', adminOnly, async (request, reply) => {
+    const user = await targetUser(request, reply)
+    if (!user) return reply
+    user.must_reset_password = true
+    await user.save()
+    await fastify.audit(request.user, 'force_password_reset', user)
+    request.flash('success', `${user.username} has to choose a new password at their next request.`)
+    return reply.redirect('/admin/users')
+  })
+
+  fastify.post('/admin/users/:id/role', { ...adminOnly, schema: roleSchema }, async (request, reply) => {
+    const user = await targetUser(request, reply)
+    if (!user) return reply
+    const { role } = request.body
+    if (role !== user.role) {
+      const previous = user.role
+      user.role = role
+      await user.save()
+      await fastify.audit(request.user, 'change_role', user, `${previous} -> ${role}`)
+      request.flash('success', `${user.username} is now ${role}.`)
+    }
+    return reply.redirect('/admin/users')
+  })
+
+  fastify.post('/admin/users/:id/delete', adminOnly, async (request, reply) => {
+    const user = await targetUser(request, reply)
+    if (!user) return reply
+    await user.destroy()
+    await fastify.audit(request.user, 'delete', user)
+    request.flash('success', `Deleted ${user.username}.`)
+    return reply.redirect('/admin/users')
+  })
+
+  fastify.get('/admin/audit', { ...adminOnly, schema: listSchema }, async (request, reply) => {
+    const { page } = request.query
+    const { count, rows } = await fastify.models.AuditLog.findAndCountAll({
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: PAGE_SIZE,
+      offset: (page - 1) * PAGE_SIZE
+    })
+    const entries = rows.map(entry => ({
+      actor: entry.actor,
+      action: entry.action,
+      target: entry.target,
+      details: entry.details,
+      created_at: entry.created_at.toISOString()
+    }))
+    const messages = collectMessages(reply)
+    return reply.view('admin_audit', {
+      entries,
+      pagination: pagination('/admin/audit', count, page),
+      messages: messages
+    })
+  })
+}
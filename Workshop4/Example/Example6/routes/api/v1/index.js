@@ -0,0 +1,28 @@
+// Version 1 of the JSON API, under /api/v1. Errors are JSON here, never a
+// flash message and a redirect.
+module.exports = async (fastify, opts) => {
+  fastify.setErrorHandler((error, request, reply) => {
+    const statusCode = error.statusCode >= 400 ? error.statusCode : 500
+    if (statusCode >= 500) {
+      request.log.error({ err: error }, 'API request failed')
+      return reply.apiError(500, 'Something went wrong.')
+    }
+    return reply.apiError(statusCode, error.message)
+  })
+
+  fastify.setNotFoundHandler((request, reply) => {
+    return reply.apiError(404, `${request.method} ${request.url} does not exist.`)
+  })
+
+  // All API routes share one token bucket per access token (or user, or IP
+  // address). It goes after the route's own preHandlers, which is where
+  // fastify.authenticate finds out who is asking.
+  const apiLimit = fastify.rateLimit({ name: 'api', algorithm: 'token-bucket', max: 60, window: 60 * 1000, key: 'token' })
+  fastify.addHook('onRoute', routeOptions => {
+    routeOptions.preHandler = [].concat(routeOptions.preHandler || [], apiLimit)
+  })
+
+  fastify.register(require('./tokens'))
+  fastify.register(require('./me'))
+  fastify.register(require('./users'))
+}
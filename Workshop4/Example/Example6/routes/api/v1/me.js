@@ -0,0 +1,18 @@
+module.exports = async (fastify, opts) => {
+  const { User } = fastify.models
+
+  fastify.get('/me', { preHandler: [fastify.authenticate, fastify.requireScope('me')] }, async (request, reply) => {
+    const user = request.user
+    return {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      email_verified: user.isVerified,
+      role: user.role,
+      permissions: User.PERMISSIONS[user.role] || [],
+      two_factor: user.hasTwoFactor,
+      // null when authenticated with the session cookie
+      scopes: request.apiToken ? request.apiToken.scopeList : null
+    }
+  })
+}
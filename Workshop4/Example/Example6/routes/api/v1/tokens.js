@@ -0,0 +1,83 @@
+const DAY = 24 * 60 * 60 * 1000
+
+module.exports = async (fastify, opts) => {
+  const { User, ApiToken } = fastify.models
+
+  const createSchema = {
+    body: {
+      type: 'object',
+      required: ['username', 'password'],
+      properties: {
+        username: { type: 'string', maxLength: 150 },
+        password: { type: 'string', maxLength: fastify.passwordPolicy.maxLength },
+        // The current code from the authenticator app, for accounts with 2FA
+        code: { type: 'string', maxLength: 10 },
+        name: { type: 'string', minLength: 1, maxLength: 100, default: 'API token' },
+        scopes: {
+          type: 'array',
+          items: { type: 'string', enum: Object.keys(ApiToken.SCOPES) },
+          uniqueItems: true,
+          minItems: 1,
+          default: ['me']
+        },
+        expires_in_days: { type: 'integer', minimum: 1, maximum: 365, default: 90 }
+      }
+    }
+  }
+
+  function serialize(apiToken) {
+    return {
+      id: apiToken.id,
+      name: apiToken.name,
+      scopes: apiToken.scopeList,
+      created_at: apiToken.created_at,
+      last_used_at: apiToken.last_used_at,
+      expires_at: apiToken.expires_at
+    }
+  }
+
+  // Log in with username and password (and a 2FA code if the account has
+  // one) to get a token; the token is only ever shown in this response
+  fastify.post('/tokens', { schema: createSchema, preHandler: fastify.rateLimit({ max: 10, window: 15 * 60 * 1000 }) }, async (request, reply) => {
+    const { username, password, code, name, scopes, expires_in_days } = request.body
+    const lockedFor = fastify.bruteForce.lockedFor(request.ip, username)
+    if (lockedFor) {
+      reply.header('retry-after', lockedFor)
+      return reply.apiError(429, 'Too many failed login attempts. Please try again later.')
+    }
+    await fastify.bruteForce.delay(request.ip, username)
+    const user = await User.findOne({ where: { username } })
+    const valid = user ? await user.checkPassword(password) : await fastify.bruteForce.verify(null, password)
+    // A wrong 2FA code counts as a failed attempt, like on the website
+    if (!valid || (user.hasTwoFactor && !(await user.checkTotp(code)))) {
+      fastify.bruteForce.fail(request.ip, username)
+      return reply.apiError(401, valid ? 'A valid two-factor code is required.' : 'Invalid username or password.')
+    }
+    fastify.bruteForce.succeed(request.ip, username)
+
+    const restriction = fastify.apiRestriction(user)
+    if (restriction) {
+      return reply.apiError(403, restriction)
+    }
+    const denied = scopes.filter(scope => ApiToken.SCOPES[scope] && !user.can(ApiToken.SCOPES[scope]))
+    if (denied.length) {
+      return reply.apiError(403, `You cannot have these scopes: ${denied.join(', ')}.`)
+    }
+    const { token, apiToken } = await ApiToken.issue(user, { name, scopes, lifetime: expires_in_days * DAY })
+    await fastify.audit(user, 'create_api_token', user, `${name} (${scopes.join(' ')})`)
+    return reply.code(201).send({ token, ...serialize(apiToken) })
+  })
+
+  fastify.get('/tokens', { preHandler: fastify.authenticate }, async (request, reply) => {
+    const tokens = await ApiToken.findAll({ where: { user_id: request.user.id }, order: [['created_at', 'DESC']] })
+    return { tokens: tokens.map(serialize) }
+  })
+
+  fastify.delete('/tokens/:id', { preHandler: fastify.authenticate }, async (request, reply) => {
+    const removed = await ApiToken.destroy({ where: { id: request.params.id, user_id: request.user.id } })
+    if (!removed) {
+      return reply.apiError(404, 'No such token.')
+    }
+    return reply.code(204).send()
+  })
+}
@@ -0,0 +1,148 @@
+const like = require('../../../utils/like')
+
+const PAGE_SIZE = 20
+
+// User management for admins, the API side of routes/admin.js
+module.exports = async (fastify, opts) => {
+  const { User } = fastify.models
+  const canRead = { preHandler: [fastify.authenticate, fastify.requireScope('users:read')] }
+  const canWrite = { preHandler: [fastify.authenticate, fastify.requireScope('users:write')] }
+
+  const idParams = {
+    type: 'object',
+    properties: { id: { type: 'integer' } }
+  }
+  const listSchema = {
+    querystring: {
+      type: 'object',
+      properties: {
+        q: { type: 'string', maxLength: 150 },
+        page: { type: 'integer', minimum: 1, default: 1 }
+      }
+    }
+  }
+  const createSchema = {
+    body: {
+      type: 'object',
+      required: ['username', 'email', 'password'],
+      additionalProperties: false,
+      properties: {
+        username: { type: 'string', minLength: 3, maxLength: 150, pattern: '^[A-Za-z0-9_.-]+$' },
+        email: { type: 'string', format: 'email', maxLength: 254 },
+        password: { type: 'string', maxLength: fastify.passwordPolicy.maxLength },
+        role: { type: 'string', enum: User.ROLES, default: 'viewer' }
+      }
+    }
+  }
+  const updateSchema = {
+    params: idParams,
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      minProperties: 1,
+      properties: {
+        role: { type: 'string', enum: User.ROLES },
+        locked: { type: 'boolean' },
+        must_reset_password: { type: 'boolean' }
+      }
+    }
+  }
+
+  function serialize(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      email_verified: user.isVerified,
+      role: user.role,
+      locked: user.locked,
+      must_reset_password: user.must_reset_password,
+      two_factor: user.hasTwoFactor
+    }
+  }
+
+  // The user a request is about; admins cannot change their own account
+  // here, so the last admin cannot lock themselves out
+  async function targetUser(request, reply, { allowSelf = false } = {}) {
+    const user = await User.findByPk(request.params.id)
+    if (!user) {
+      reply.apiError(404, 'No such user.')
+      return null
+    }
+    if (!allowSelf && user.id === request.user.id) {
+      reply.apiError(403, 'You cannot do that to your own account.')
+      return null
+    }
+    return user
+  }
+
+  fastify.get('/users', { ...canRead, schema: listSchema }, async (request, reply) => {
+    const { q, page } = request.query
+    const { count, rows } = await User.findAndCountAll({
+      where: q ? like.contains(fastify.sequelize, 'username', q) : {},
+      order: [['username', 'ASC']],
+      limit: PAGE_SIZE,
+      offset: (page - 1) * PAGE_SIZE
+    })
+    return { users: rows.map(serialize), page, pages: Math.max(Math.ceil(count / PAGE_SIZE), 1), total: count }
+  })
+
+  fastify.get('/users/:id', { ...canRead, schema: { params: idParams } }, async (request, reply) => {
+    const user = await targetUser(request, reply, { allowSelf: true })
+    if (!user) return reply
+    return serialize(user)
+  })
+
+  fastify.post('/users', { ...canWrite, schema: createSchema }, async (request, reply) => {
+    const { username, email, password, role } = request.body
+    if (await User.findOne({ where: { username } })) {
+      return reply.apiError(409, 'That username is already taken.')
+    }
+    if (await User.findOne({ where: { email } })) {
+      return reply.apiError(409, 'An account with that email address already exists.')
+    }
+    const problems = fastify.passwordPolicy.check(password, { username, email })
+    if (problems.length) {
+      return reply.apiError(400, problems.join(' '))
+    }
+    const user = User.build({ username, email, role })
+    await user.setPassword(password)
+    await user.save()
+    await fastify.sendVerificationEmail(user)
+    await fastify.audit(request.user, 'create_user', user, role)
+    return reply.code(201).header('location', `/api/v1/users/${user.id}`).send(serialize(user))
+  })
+
+  fastify.patch('/users/:id', { ...canWrite, schema: updateSchema }, async (request, reply) => {
+    const user = await targetUser(request, reply)
+    if (!user) return reply
+    const { role, locked, must_reset_password } = request.body
+    // The same audit actions as the admin pages use
+    const changes = []
+    if (role !== undefined && role !== user.role) {
+      changes.push(['change_role', `${user.role} -> ${role}`])
+      user.role = role
+    }
+    if (locked !== undefined && locked !== user.locked) {
+      changes.push([locked ? 'lock' : 'unlock', null])
+      user.locked = locked
+    }
+    if (must_reset_password !== undefined && must_reset_password !== user.must_reset_password) {
+      if (must_reset_password) changes.push(['force_password_reset', null])
+      user.must_reset_password = must_reset_password
+    }
+    await user.save()
+    for (const [action, details] of changes) {
+      await fastify.audit(request.user, action, user, details)
+    }
+    return serialize(user)
+  })
+
+  fastify.delete('/users/:id', { ...canWrite, schema: { params: idParams } }, async (request, reply) => {
+    const user = await targetUser(request, reply)
+    if (!user) return reply
+    await user.destroy()
+    await fastify.audit(request.user, 'delete', user)
+    return reply.code(204).send()
+  })
+}
@@ -1,51 +1,185 @@
-const argon2 = require('argon2')
 const collectMessages = require('../utils')
 
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+
+// Shown when an account or address has failed to log in too often
+function lockoutMessage(seconds) {
+  const minutes = Math.ceil(seconds / 60)
+  return `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+}
+
+// Turn a body validation error into { field: [message] }
+function fieldErrors(validationError, messages) {
+  const errors = {}
+  for (const { instancePath, params } of validationError.validation) {
+    const field = params.missingProperty || instancePath.slice(1)
+    errors[field] = [messages[field] || 'This value is not valid.']
+  }
+  return errors
+}
+
 module.exports = async (fastify, opts) => {
+  const registerSchema = {
+    body: {
+      type: 'object',
+      required: ['username', 'email', 'password'],
+      properties: {
+        username: { type: 'string', minLength: 3, maxLength: 150, pattern: '^[A-Za-z0-9_.-]+$' },
+        email: { type: 'string', format: 'email', maxLength: 254 },
+        password: { type: 'string', minLength: 1, maxLength: fastify.passwordPolicy.maxLength }
+      }
+    }
+  }
+  // Shown next to a field that does not match registerSchema
+  const registerFieldErrors = {
+    username: 'Choose a username of 3 to 150 letters, digits, dots, dashes or underscores.',
+    email: 'Enter a valid email address.',
+    password: `Enter a password of at most ${fastify.passwordPolicy.maxLength} characters.`
+  }
+
+  // On top of the per-account lockouts in plugins/brute-force.js, which a
+  // client trying many usernames does not run into
+  const loginLimit = fastify.rateLimit({ algorithm: 'token-bucket', max: 10, window: MINUTE })
+  const registerLimit = fastify.rateLimit({ max: 5, window: HOUR })
+
   fastify.get('/register', async (request, reply) => {
     const messages = collectMessages(reply)
-    return reply.view('register', { messages: messages })
+    return reply.view('register', { minLength: fastify.passwordPolicy.minLength, messages: messages })
   })
 
-  fastify.post('/register', async (request, reply) => {
-    const { username, password } = request.body
+  // Errors are shown next to their fields, so the route validates the body
+  // itself (attachValidation) instead of answering a bare 400
+  fastify.post('/register', { schema: registerSchema, attachValidation: true, preHandler: registerLimit }, async (request, reply) => {
+    const { username = '', email = '', password = '' } = request.body || {}
     const { User } = fastify.models
-    const existingUser = await User.findOne({ where: { username } })
-    if (existingUser) {
-      request.flash('danger', 'Username already exists!')
-      return reply.redirect('/register')
+    // The remaining checks only run for fields that are well formed
+    const errors = request.validationError ? fieldErrors(request.validationError, registerFieldErrors) : {}
+    if (!errors.username && await User.findOne({ where: { username } })) {
+      errors.username = ['That username is already taken.']
+    }
+    if (!errors.email && await User.findOne({ where: { email } })) {
+      errors.email = ['An account with that email address already exists.']
+    }
+    if (!errors.password) {
+      // Badly formed fields may not even be strings
+      const problems = fastify.passwordPolicy.check(password, {
+        username: typeof username === 'string' ? username : '',
+        email: typeof email === 'string' ? email : ''
+      })
+      if (problems.length) {
+        errors.password = problems
+      }
+    }
+    if (Object.keys(errors).length) {
+      const messages = collectMessages(reply)
+      return reply.code(400).view('register', {
+        values: { username, email },
+        errors,
+        minLength: fastify.passwordPolicy.minLength,
+        messages: messages
+      })
     }
 
-    const password_hash = await argon2.hash(password)
-    const user = await User.create({ username,password_hash })
+    // The very first account becomes the admin, so a fresh install can be managed
+    const role = (await User.count()) === 0 ? 'admin' : 'viewer'
+    const user = User.build({ username, email, role })
+    await user.setPassword(password)
     await user.save()
+    await fastify.sendVerificationEmail(user)
 
-    request.flash('success', 'Registration successful! Please log in.')
+    request.flash('success', 'Registration successful! We have sent you an email to confirm your address. Please log in.')
     return reply.redirect('/login')
   })
 
   fastify.get('/login', async (request, reply) => {
     const messages = collectMessages(reply)
-    return reply.view('login', { messages: messages })
+    return reply.view('login', { providers: fastify.oidc.providers, messages: messages })
   })
 
-  fastify.post('/login', async (request, reply) => {
+  fastify.post('/login', { preHandler: loginLimit }, async (request, reply) => {
     const { username, password } = request.body
     const { User } = fastify.models
+    const lockedFor = fastify.bruteForce.lockedFor(request.ip, username)
+    if (lockedFor) {
+      request.flash('danger', lockoutMessage(lockedFor))
+      return reply.redirect('/login')
+    }
+    await fastify.bruteForce.delay(request.ip, username)
     const user = await User.findOne({ where: { username } })
+    const valid = user ? await user.checkPassword(password) : await fastify.bruteForce.verify(null, password)
 
-    if (!user || !(await user.checkPassword(password))) {
-      request.flash('danger', 'Invalid username or password.')
+    if (!valid) {
+      const lockout = fastify.bruteForce.fail(request.ip, username)
+      request.flash('danger', lockout ? lockoutMessage(lockout) : 'Invalid username or password.')
       return reply.redirect('/login')
     }
+    fastify.bruteForce.succeed(request.ip, username)
+    if (user.locked) {
+      request.flash('danger', 'This account is locked. Please contact an administrator.')
+      return reply.redirect('/login')
+    }
+    if (fastify.unverifiedPolicy === 'block' && !user.isVerified) {
+      request.flash('danger', 'Please confirm your email address before logging in.')
+      return reply.redirect('/resend-verification')
+    }
+    if (user.hasTwoFactor) {
+      // The password was right, but the session only counts as logged in
+      // once the second step in routes/two_factor.js succeeds
+      request.session.set('pending_user_id', user.id)
+      request.session.set('pending_since', Date.now())
+      request.session.set('pending_remember', Boolean(request.body.remember))
+      return reply.redirect('/login/2fa')
+    }
 
-    request.session.set('user_id', user["id"])
-    request.session.set('user', user["username"])
+    fastify.logIn(request, user)
+    if (request.body.remember) {
+      await fastify.rememberMe.issue(request, reply, user)
+    }
     request.flash('success', 'Logged in successfully!')
     return reply.redirect('/')
   })
 
+  fastify.get('/change-password', {preHandler:fastify.loginRequired}, async (request, reply) => {
+    const messages = collectMessages(reply)
+    return reply.view('change_password', { minLength: fastify.passwordPolicy.minLength, messages: messages })
+  })
+
+  fastify.post('/change-password', {preHandler:fastify.loginRequired}, async (request, reply) => {
+    const { current_password, new_password, confirm_password } = request.body
+    const user = request.user
+    if (!(await user.checkPassword(current_password))) {
+      request.flash('danger', 'Your current password is incorrect.')
+      return reply.redirect('/change-password')
+    }
+    if (!new_password || new_password !== confirm_password) {
+      request.flash('danger', 'The new passwords do not match.')
+      return reply.redirect('/change-password')
+    }
+    if (new_password === current_password) {
+      request.flash('danger', 'The new password must be different from the current one.')
+      return reply.redirect('/change-password')
+    }
+    const problems = fastify.passwordPolicy.check(new_password, user)
+    if (problems.length) {
+      request.flash('danger', problems.join(' '))
+      return reply.redirect('/change-password')
+    }
+
+    await user.setPassword(new_password)
+    user.must_reset_password = false
+    // Log out every other session, but keep this one
+    user.session_version += 1
+    await user.save()
+    await fastify.rememberMe.revokeAll(user)
+    fastify.logIn(request, user)
+
+    request.flash('success', 'Your password has been changed.')
+    return reply.redirect('/profile')
+  })
+
   fastify.get('/logout', async (request, reply) => {
+    await fastify.rememberMe.forget(request, reply)
     await request.session.destroy()
     return reply.redirect('/login')
   })
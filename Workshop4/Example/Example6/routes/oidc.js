@@ -0,0 +1,188 @@
+const { randomToken } = require('../utils/oidc')
+
+const FLOW_TIME = 10 * 60 * 1000 // 10 minutes to finish signing in at the provider
+
+// Turn a provider's username or email address into one that is valid here
+function usernameBase(claims) {
+  const name = (claims.preferred_username || claims.email.split('@')[0]).replace(/[^A-Za-z0-9_.-]/g, '').slice(0, 140)
+  return name.length >= 3 ? name : `${name}user`
+}
+
+module.exports = async (fastify, opts) => {
+  const { User, UserIdentity } = fastify.models
+
+  // From the configuration, not the Host header, which the client chooses
+  const redirectUri = client => `${fastify.config.PUBLIC_URL}/login/${client.provider.id}/callback`
+
+  // Send the browser to the provider. What to do when it comes back is kept
+  // in the session with the values that tie the answer to this request.
+  async function start(request, reply, client, link) {
+    const flow = {
+      provider: client.provider.id,
+      state: randomToken(),
+      nonce: randomToken(),
+      verifier: randomToken(),
+      link,
+      started: Date.now()
+    }
+    request.session.set('oidc', flow)
+    return reply.redirect(await client.authorizationUrl({ redirectUri: redirectUri(client), ...flow }))
+  }
+
+  async function uniqueUsername(claims) {
+    const base = usernameBase(claims)
+    for (let n = 1; n < 100; n++) {
+      const username = n === 1 ? base : `${base}${n}`
+      if (!(await User.findOne({ where: { username } }))) return username
+    }
+    return `${base}${randomToken().slice(0, 8)}`
+  }
+
+  // First login with an identity nobody has linked: create an account for it
+  async function createUser(request, client, claims) {
+    const { name } = client.provider
+    if (!claims.email) {
+      request.flash('danger', `${name} did not share your email address, which an account here needs.`)
+      return null
+    }
+    if (await User.findOne({ where: { email: claims.email } })) {
+      // Linking by email address alone would let whoever controls the
+      // provider account take over the local one
+      request.flash('danger', `An account with the email address of your ${name} account already exists. Log in with your password and link ${name} on your profile page.`)
+      return null
+    }
+    const user = User.build({
+      username: await uniqueUsername(claims),
+      email: claims.email,
+      email_verified_at: claims.email_verified === true ? new Date() : null,
+      // The very first account becomes the admin, as with registration
+      role: (await User.count()) === 0 ? 'admin' : 'viewer'
+    })
+    // Nobody knows this password; "Forgot your password?" sets a real one
+    await user.setPassword(randomToken())
+    await fastify.sequelize.transaction(async transaction => {
+      await user.save({ transaction })
+      await UserIdentity.create({ user_id: user.id, provider: client.provider.id, subject: claims.sub, email: claims.email }, { transaction })
+    })
+    if (!user.isVerified) {
+      await fastify.sendVerificationEmail(user)
+    }
+    request.flash('success', `Welcome! We created the account ${user.username} for you.`)
+    return user
+  }
+
+  async function logInWith(request, reply, client, claims) {
+    const identity = await UserIdentity.findOne({ where: { provider: client.provider.id, subject: claims.sub } })
+    const user = identity ? await identity.getUser() : await createUser(request, client, claims)
+    if (!user) {
+      return reply.redirect('/login')
+    }
+    if (user.locked) {
+      request.flash('danger', 'This account is locked. Please contact an administrator.')
+      return reply.redirect('/login')
+    }
+    if (fastify.unverifiedPolicy === 'block' && !user.isVerified) {
+      request.flash('danger', 'Please confirm your email address before logging in.')
+      return reply.redirect('/resend-verification')
+    }
+    if (identity) {
+      identity.last_login_at = new Date()
+      await identity.save()
+    }
+    if (user.hasTwoFactor) {
+      // Two-factor authentication still applies, as after a password
+      request.session.set('pending_user_id', user.id)
+      request.session.set('pending_since', Date.now())
+      request.session.set('pending_remember', false)
+      return reply.redirect('/login/2fa')
+    }
+    fastify.logIn(request, user)
+    request.flash('success', 'Logged in successfully!')
+    return reply.redirect('/')
+  }
+
+  async function linkIdentity(request, reply, client, claims) {
+    const user = request.user
+    if (!user) {
+      request.flash('danger', 'You must log in to access this page.')
+      return reply.redirect('/login')
+    }
+    const { id: provider, name } = client.provider
+    const identity = await UserIdentity.findOne({ where: { provider, subject: claims.sub } })
+    if (identity && identity.user_id !== user.id) {
+      request.flash('danger', `That ${name} account is already linked to another user.`)
+      return reply.redirect('/profile')
+    }
+    if (!identity) {
+      await UserIdentity.destroy({ where: { user_id: user.id, provider } })
+      await UserIdentity.create({ user_id: user.id, provider, subject: claims.sub, email: claims.email || null })
+      await fastify.audit(user, 'link_identity', user, name)
+    }
+    request.flash('success', `Your ${name} account is linked. You can use it to log in.`)
+    return reply.redirect('/profile')
+  }
+
+  fastify.get('/login/:provider', async (request, reply) => {
+    const client = fastify.oidc.client(request.params.provider)
+    if (!client) {
+      return reply.callNotFound()
+    }
+    try {
+      return await start(request, reply, client, false)
+    } catch (err) {
+      request.log.error({ err }, 'Could not reach OpenID Connect provider')
+      request.flash('danger', `${client.provider.name} cannot be reached right now. Please try again later.`)
+      return reply.redirect('/login')
+    }
+  })
+
+  fastify.get('/login/:provider/callback', async (request, reply) => {
+    const client = fastify.oidc.client(request.params.provider)
+    const flow = request.session.get('oidc')
+    request.session.set('oidc', undefined)
+    const { code, state, error } = request.query
+    if (!client || !flow || flow.provider !== request.params.provider || Date.now() - flow.started > FLOW_TIME ||
+        !state || state !== flow.state) {
+      request.flash('danger', 'This sign-in attempt is not valid any more. Please try again.')
+      return reply.redirect('/login')
+    }
+    const back = flow.link ? '/profile' : '/login'
+    if (error || !code) {
+      request.flash('danger', `${client.provider.name} did not sign you in${error ? ` (${error})` : ''}.`)
+      return reply.redirect(back)
+    }
+
+    let claims
+    try {
+      claims = await client.callback({ code, redirectUri: redirectUri(client), verifier: flow.verifier, nonce: flow.nonce })
+    } catch (err) {
+      request.log.warn({ err }, 'OpenID Connect login failed')
+      request.flash('danger', `Signing in with ${client.provider.name} failed. Please try again.`)
+      return reply.redirect(back)
+    }
+    return flow.link ? linkIdentity(request, reply, client, claims) : logInWith(request, reply, client, claims)
+  })
+
+  fastify.post('/profile/identities/:provider/link', { preHandler: fastify.loginRequired }, async (request, reply) => {
+    const client = fastify.oidc.client(request.params.provider)
+    if (!client) {
+      return reply.callNotFound()
+    }
+    try {
+      return await start(request, reply, client, true)
+    } catch (err) {
+      request.log.error({ err }, 'Could not reach OpenID Connect provider')
+      request.flash('danger', `${client.provider.name} cannot be reached right now. Please try again later.`)
+      return reply.redirect('/profile')
+    }
+  })
+
+  fastify.post('/profile/identities/:provider/unlink', { preHandler: fastify.loginRequired }, async (request, reply) => {
+    const removed = await UserIdentity.destroy({ where: { user_id: request.user.id, provider: request.params.provider } })
+    if (removed) {
+      await fastify.audit(request.user, 'unlink_identity', request.user, request.params.provider)
+      request.flash('success', 'The account is no longer linked.')
+    }
+    return reply.redirect('/profile')
+  })
+}
@@ -0,0 +1,99 @@
+const collectMessages = require('../utils')
+
+module.exports = async (fastify, opts) => {
+  const forgotSchema = {
+    body: {
+      type: 'object',
+      required: ['email'],
+      properties: {
+        email: { type: 'string', maxLength: 254 }
+      }
+    }
+  }
+
+  fastify.get('/forgot-password', async (request, reply) => {
+    const messages = collectMessages(reply)
+    return reply.view('forgot_password', { messages: messages })
+  })
+
+  // Every request may send an email
+  fastify.post('/forgot-password', { schema: forgotSchema, preHandler: fastify.rateLimit({ max: 5, window: 60 * 60 * 1000 }) }, async (request, reply) => {
+    const { email } = request.body
+    const user = await fastify.models.User.findOne({ where: { email } })
+    if (user && !user.locked) {
+      const token = await fastify.models.PasswordResetToken.issue(user)
+      const link = `${fastify.config.PUBLIC_URL}/reset-password/${token}`
+      await fastify.mailer.send({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+          `Hello ${user.username},`,
+          '',
+          'Someone asked to reset the password of your account. If that was you,',
+          'open the link below within the next hour to choose a new password:',
+          '',
+          link,
+          '',
+          'If it was not you, you can ignore this message.'
+        ].join('\n')
+      })
+    }
+    // Same answer either way, so the form does not reveal who has an account
+    request.flash('info', 'If an account uses that address, we have sent it a link to reset the password.')
+    return reply.redirect('/login')
+  })
+
+  fastify.get('/reset-password/:token', async (request, reply) => {
+    const resetToken = await fastify.models.PasswordResetToken.findValid(request.params.token)
+    if (!resetToken) {
+      request.flash('danger', 'This reset link is invalid or has expired.')
+      return reply.redirect('/forgot-password')
+    }
+    const messages = collectMessages(reply)
+    return reply.view('reset_password', {
+      token: request.params.token,
+      minLength: fastify.passwordPolicy.minLength,
+      messages: messages
+    })
+  })
+
+  fastify.post('/reset-password/:token', async (request, reply) => {
+    const { token } = request.params
+    const { new_password, confirm_password } = request.body
+    const resetToken = await fastify.models.PasswordResetToken.findValid(token)
+    if (!resetToken) {
+      request.flash('danger', 'This reset link is invalid or has expired.')
+      return reply.redirect('/forgot-password')
+    }
+    if (!new_password || new_password !== confirm_password) {
+      request.flash('danger', 'The new passwords do not match.')
+      return reply.redirect(`/reset-password/${token}`)
+    }
+
+    const user = await resetToken.getUser()
+    const problems = fastify.passwordPolicy.check(new_password, user)
+    if (problems.length) {
+      request.flash('danger', problems.join(' '))
+      return reply.redirect(`/reset-password/${token}`)
+    }
+    const used = await fastify.sequelize.transaction(async transaction => {
+      // Claim the token first so two requests cannot both use it
+      if (!(await resetToken.consume({ transaction }))) return false
+      await user.setPassword(new_password)
+      user.must_reset_password = false
+      // Logs out every session of this account, wherever it was opened
+      user.session_version += 1
+      await user.save({ transaction })
+      return true
+    })
+    if (!used) {
+      request.flash('danger', 'This reset link is invalid or has expired.')
+      return reply.redirect('/forgot-password')
+    }
+    await fastify.rememberMe.revokeAll(user)
+
+    fastify.logOut(request)
+    request.flash('success', 'Your password has been reset. Please log in.')
+    return reply.redirect('/login')
+  })
+}
@@ -1,6 +1,23 @@
+const collectMessages = require('../utils')
+
 module.exports = async (fastify, opts) => {
-  fastify.get('/profile', {preHandler:fastify.loginRequired},async (request, reply) => {
-  const user = request.session.get('user')
-  return reply.view('profile', { username:user })
+  fastify.get('/profile', {preHandler:fastify.requirePermission('view_content')},async (request, reply) => {
+  const user = request.user
+  const identities = await fastify.models.UserIdentity.findAll({ where: { user_id: user.id } })
+  // Every configured provider, with the account linked at it if there is one
+  const providers = fastify.oidc.providers.map(provider => {
+    const identity = identities.find(identity => identity.provider === provider.id)
+    return { ...provider, linked: Boolean(identity), email: identity && identity.email }
+  })
+  const messages = collectMessages(reply)
+  return reply.view('profile', {
+    username: user.username,
+    email: user.email,
+    verified: user.isVerified,
+    twoFactor: user.hasTwoFactor,
+    role: user.role,
+    providers,
+    messages: messages
+  })
 })
-}
\ No newline at end of file
+}
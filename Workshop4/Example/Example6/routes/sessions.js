@@ -0,0 +1,64 @@
+const crypto = require('crypto')
+const { Op } = require('sequelize')
+const collectMessages = require('../utils')
+
+// Session ids are secrets, so pages refer to sessions by a hash of the id
+function handleOf(sid) {
+  return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16)
+}
+
+module.exports = async (fastify, opts) => {
+  const { Session, RememberToken } = fastify.models
+
+  function activeSessions(user) {
+    return Session.findAll({
+      where: { user_id: user.id, expires_at: { [Op.gt]: new Date() } },
+      order: [['last_seen_at', 'DESC']]
+    })
+  }
+
+  // End a session, and the remember-me login it came with so the device
+  // cannot log itself straight back in
+  async function revoke(user, session) {
+    const { remember_selector } = JSON.parse(session.data)
+    if (remember_selector) {
+      await RememberToken.destroy({ where: { selector: remember_selector, user_id: user.id } })
+    }
+    await session.destroy()
+  }
+
+  fastify.get('/sessions', { preHandler: fastify.loginRequired }, async (request, reply) => {
+    const sessions = (await activeSessions(request.user)).map(session => ({
+      handle: handleOf(session.sid),
+      current: session.sid === request.session.sessionId,
+      user_agent: session.user_agent || 'Unknown browser',
+      ip: session.ip,
+      last_seen: session.last_seen_at.toISOString()
+    }))
+    const messages = collectMessages(reply)
+    return reply.view('sessions', { sessions, messages: messages })
+  })
+
+  fastify.post('/sessions/:handle/revoke', { preHandler: fastify.loginRequired }, async (request, reply) => {
+    const session = (await activeSessions(request.user)).find(session => handleOf(session.sid) === request.params.handle)
+    if (!session) {
+      request.flash('danger', 'That session has already ended.')
+      return reply.redirect('/sessions')
+    }
+    if (session.sid === request.session.sessionId) {
+      return reply.redirect('/logout')
+    }
+    await revoke(request.user, session)
+    request.flash('success', 'The session has been logged out.')
+    return reply.redirect('/sessions')
+  })
+
+  fastify.post('/sessions/revoke-others', { preHandler: fastify.loginRequired }, async (request, reply) => {
+    const others = (await activeSessions(request.user)).filter(session => session.sid !== request.session.sessionId)
+    for (const session of others) {
+      await revoke(request.user, session)
+    }
+    request.flash('success', `Logged out ${others.length} other session(s).`)
+    return reply.redirect('/sessions')
+  })
+}
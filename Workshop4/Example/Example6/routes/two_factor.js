@@ -0,0 +1,149 @@
+const QRCode = require('qrcode')
+const totp = require('../utils/totp')
+const collectMessages = require('../utils')
+
+const ISSUER = 'MyApp'
+const PENDING_LOGIN_TIME = 5 * 60 * 1000 // 5 minutes to enter the code
+
+module.exports = async (fastify, opts) => {
+  // The user who got the password right and still has to enter a code
+  async function pendingUser(request) {
+    const userId = request.session.get('pending_user_id')
+    const since = request.session.get('pending_since') || 0
+    if (!userId || Date.now() - since > PENDING_LOGIN_TIME) {
+      return null
+    }
+    const user = await fastify.models.User.findByPk(userId)
+    return user && !user.locked ? user : null
+  }
+
+  fastify.get('/login/2fa', async (request, reply) => {
+    if (!(await pendingUser(request))) {
+      request.flash('danger', 'Please log in again.')
+      return reply.redirect('/login')
+    }
+    const messages = collectMessages(reply)
+    return reply.view('login_2fa', { messages: messages })
+  })
+
+  fastify.post('/login/2fa', { preHandler: fastify.rateLimit({ algorithm: 'token-bucket', max: 10, window: 60 * 1000 }) }, async (request, reply) => {
+    const user = await pendingUser(request)
+    if (!user) {
+      request.flash('danger', 'Please log in again.')
+      return reply.redirect('/login')
+    }
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (fastify.bruteForce.lockedFor(request.ip, user.username)) {
+      request.session.set('pending_user_id', undefined)
+      request.flash('danger', 'Too many failed login attempts. Please try again later.')
+      return reply.redirect('/login')
+    }
+    await fastify.bruteForce.delay(request.ip, user.username)
+
+    const { code, recovery_code } = request.body || {}
+    let valid = false
+    if (recovery_code) {
+      valid = await fastify.models.RecoveryCode.redeem(user, recovery_code)
+    } else {
+      valid = await user.checkTotp(code)
+    }
+    if (!valid) {
+      fastify.bruteForce.fail(request.ip, user.username)
+      request.flash('danger', 'That code is not valid.')
+      return reply.redirect('/login/2fa')
+    }
+    fastify.bruteForce.succeed(request.ip, user.username)
+
+    const remember = request.session.get('pending_remember')
+    request.session.set('pending_user_id', undefined)
+    request.session.set('pending_since', undefined)
+    request.session.set('pending_remember', undefined)
+    fastify.logIn(request, user)
+    if (remember) {
+      await fastify.rememberMe.issue(request, reply, user)
+    }
+    if (recovery_code) {
+      const left = await fastify.models.RecoveryCode.count({ where: { user_id: user.id, used_at: null } })
+      request.flash('info', `You used a recovery code, ${left} left. You can create new ones on the two-factor page.`)
+    }
+    request.flash('success', 'Logged in successfully!')
+    return reply.redirect('/')
+  })
+
+  fastify.get('/2fa', { preHandler: fastify.loginRequired }, async (request, reply) => {
+    const user = request.user
+    const messages = collectMessages(reply)
+    if (user.hasTwoFactor) {
+      const codesLeft = await fastify.models.RecoveryCode.count({ where: { user_id: user.id, used_at: null } })
+      return reply.view('two_factor', { enabled: true, codesLeft, messages: messages })
+    }
+
+    // The secret only becomes the user's once they prove their app has it
+    let secret = request.session.get('pending_totp_secret')
+    if (!secret) {
+      secret = totp.generateSecret()
+      request.session.set('pending_totp_secret', secret)
+    }
+    const uri = totp.keyUri({ secret, account: user.username, issuer: ISSUER })
+    const qrCode = await QRCode.toString(uri, { type: 'svg', margin: 1, width: 200 })
+    return reply.view('two_factor', {
+      enabled: false,
+      secret: secret.match(/.{1,4}/g).join(' '),
+      uri,
+      qrCode,
+      messages: messages
+    })
+  })
+
+  fastify.post('/2fa/enable', { preHandler: fastify.loginRequired }, async (request, reply) => {
+    const user = request.user
+    const secret = request.session.get('pending_totp_secret')
+    const step = secret ? totp.verify(secret, request.body.code) : null
+    if (user.hasTwoFactor || step === null) {
+      request.flash('danger', 'That code is not valid, please try again.')
+      return reply.redirect('/2fa')
+    }
+
+    const codes = await fastify.sequelize.transaction(async transaction => {
+      user.totp_secret = secret
+      user.totp_last_step = step
+      await user.save({ transaction })
+      return fastify.models.RecoveryCode.regenerate(user, { transaction })
+    })
+    request.session.set('pending_totp_secret', undefined)
+
+    return reply.view('two_factor_codes', {
+      codes,
+      messages: [{ category: 'success', message: 'Two-factor authentication is now on.' }]
+    })
+  })
+
+  fastify.post('/2fa/recovery-codes', { preHandler: fastify.loginRequired }, async (request, reply) => {
+    const user = request.user
+    if (!user.hasTwoFactor || !(await user.checkPassword(request.body.password))) {
+      request.flash('danger', 'Your password is incorrect.')
+      return reply.redirect('/2fa')
+    }
+    const codes = await fastify.models.RecoveryCode.regenerate(user)
+    return reply.view('two_factor_codes', {
+      codes,
+      messages: [{ category: 'success', message: 'Your old recovery codes no longer work.' }]
+    })
+  })
+
+  fastify.post('/2fa/disable', { preHandler: fastify.loginRequired }, async (request, reply) => {
+    const user = request.user
+    if (!(await user.checkPassword(request.body.password))) {
+      request.flash('danger', 'Your password is incorrect.')
+      return reply.redirect('/2fa')
+    }
+    await fastify.sequelize.transaction(async transaction => {
+      user.totp_secret = null
+      user.totp_last_step = null
+      await user.save({ transaction })
+      await fastify.models.RecoveryCode.destroy({ where: { user_id: user.id }, transaction })
+    })
+    request.flash('success', 'Two-factor authentication is now off.')
+    return reply.redirect('/2fa')
+  })
+}
@@ -0,0 +1,44 @@
+const collectMessages = require('../utils')
+
+module.exports = async (fastify, opts) => {
+  fastify.get('/verify/:token', async (request, reply) => {
+    const verificationToken = await fastify.models.EmailVerificationToken.findValid(request.params.token)
+    if (!verificationToken || !(await verificationToken.consume())) {
+      request.flash('danger', 'This confirmation link is invalid or has expired.')
+      return reply.redirect('/resend-verification')
+    }
+    const user = await verificationToken.getUser()
+    user.email_verified_at = new Date()
+    await user.save()
+
+    request.flash('success', 'Thank you, your email address is confirmed.')
+    return reply.redirect(request.user ? '/profile' : '/login')
+  })
+
+  fastify.get('/resend-verification', async (request, reply) => {
+    const messages = collectMessages(reply)
+    return reply.view('resend_verification', { user: request.user, messages: messages })
+  })
+
+  fastify.post('/resend-verification', { preHandler: fastify.rateLimit({ max: 5, window: 60 * 60 * 1000, key: 'user' }) }, async (request, reply) => {
+    // Logged in users get a new link for their own address, anyone else
+    // gives the address of the account
+    const user = request.user ||
+      await fastify.models.User.findOne({ where: { email: (request.body && request.body.email) || '' } })
+    const wait = user && !user.isVerified ? await fastify.sendVerificationEmail(user) : 0
+
+    if (!request.user) {
+      // Same answer either way, so the form does not reveal who has an account
+      request.flash('info', 'If an unconfirmed account uses that address, we have sent it a new confirmation link.')
+      return reply.redirect('/login')
+    }
+    if (user.isVerified) {
+      request.flash('info', 'Your email address is already confirmed.')
+    } else if (wait) {
+      request.flash('danger', `Please wait ${wait} seconds before asking for another email.`)
+    } else {
+      request.flash('success', `We have sent a new confirmation link to ${user.email}.`)
+    }
+    return reply.redirect('/profile')
+  })
+}
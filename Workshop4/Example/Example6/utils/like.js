@@ -0,0 +1,16 @@
+const { Op } = require('sequelize')
+
+// LIKE treats % and _ in a pattern as wildcards, so a search for "a_b" would
+// also find "axb" and one for "%" everything. Escaped with a backslash, and
+// with ESCAPE '\' to say so, they only match themselves.
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&')
+}
+
+// A where condition for `column` containing `text`
+function contains(sequelize, column, text) {
+  const pattern = sequelize.escape(`%${escapeLike(text)}%`)
+  return sequelize.where(sequelize.col(column), Op.like, sequelize.literal(`${pattern} ESCAPE '\\'`))
+}
+
+module.exports = { contains }
@@ -0,0 +1,97 @@
+const fs = require('fs')
+const path = require('path')
+
+// Versioned schema changes. Every file in the migrations folder exports
+// async up(context) and down(context); they run in file name order and the
+// ones that have run are recorded in the `migrations` table, so each runs
+// exactly once.
+//
+// `db` connects the migrator to a database driver:
+//   query(sql, params) - run one statement, resolving to its rows
+//   context            - what up() and down() are called with
+class Migrator {
+  constructor(db, directory) {
+    this.db = db
+    this.directory = directory
+  }
+
+  // Names of all migration files, oldest first
+  list() {
+    return fs.readdirSync(this.directory)
+      .filter(file => /^\d+_\w+\.js$/.test(file))
+      .sort()
+      .map(file => path.basename(file, '.js'))
+  }
+
+  async applied() {
+    await this.db.query(`CREATE TABLE IF NOT EXISTS migrations (
+      name TEXT PRIMARY KEY,
+      applied_at TEXT NOT NULL
+    )`)
+    return this.db.query('SELECT name, applied_at FROM migrations ORDER BY name')
+  }
+
+  // Every migration with when it was applied (null while pending). Applied
+  // migrations without a file, e.g. from a newer version of the app, are
+  // marked `missing`.
+  async status() {
+    const names = this.list()
+    const applied = await this.applied()
+    const appliedAt = new Map(applied.map(row => [row.name, row.applied_at]))
+    return [
+      ...names.map(name => ({ name, applied_at: appliedAt.get(name) || null, missing: false })),
+      ...applied.filter(row => !names.includes(row.name)).map(row => ({ ...row, missing: true }))
+    ]
+  }
+
+  // Apply every pending migration; resolves to their names
+  async migrate() {
+    const pending = (await this.status()).filter(row => !row.applied_at).map(row => row.name)
+    for (const name of pending) {
+      await this.run(name, 'up', () =>
+        this.db.query('INSERT INTO migrations (name, applied_at) VALUES (?, ?)', [name, new Date().toISOString()]))
+    }
+    return pending
+  }
+
+  // Undo the last `steps` applied migrations, newest first; resolves to their names
+  async rollback(steps = 1) {
+    const names = (await this.applied()).map(row => row.name).reverse().slice(0, steps)
+    for (const name of names) {
+      await this.run(name, 'down', () =>
+        this.db.query('DELETE FROM migrations WHERE name = ?', [name]))
+    }
+    return names
+  }
+
+  // Throw unless the database is at exactly the version of the code
+  async check() {
+    const rows = await this.status()
+    const pending = rows.filter(row => !row.applied_at).map(row => row.name)
+    const missing = rows.filter(row => row.missing).map(row => row.name)
+    if (pending.length) {
+      throw new Error(`The database schema is out of date, pending migrations: ${pending.join(', ')}. Run "npm run migrate" first.`)
+    }
+    if (missing.length) {
+      throw new Error(`The database has migrations this version of the app does not know: ${missing.join(', ')}.`)
+    }
+  }
+
+  // Each migration runs in its own transaction, together with its record in
+  // the migrations table, so a failing one leaves the schema as it was
+  async run(name, direction, record) {
+    const migration = require(path.join(this.directory, name))
+    await this.db.query('BEGIN')
+    try {
+      await migration[direction](this.db.context)
+      await record()
+      await this.db.query('COMMIT')
+    } catch (err) {
+      await this.db.query('ROLLBACK')
+      err.message = `Migration ${name} (${direction}) failed: ${err.message}`
+      throw err
+    }
+  }
+}
+
+module.exports = Migrator
@@ -0,0 +1,161 @@
+const crypto = require('crypto')
+
+// A small OpenID Connect relying party: discovery, the authorization code
+// flow with PKCE (RFC 7636) and ID token verification against the
+// provider's published keys, following OpenID Connect Core 1.0.
+
+const HTTP_TIMEOUT = 10 * 1000 // milliseconds
+const CLOCK_SKEW = 60 // seconds of leeway when checking exp and iat
+const JWKS_REFRESH_INTERVAL = 60 * 1000 // refetch keys at most this often
+
+// Signature algorithms we accept for ID tokens, with how to verify them
+const ALGORITHMS = {
+  RS256: key => key,
+  PS256: key => ({ key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 }),
+  ES256: key => ({ key, dsaEncoding: 'ieee-p1363' })
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url')
+}
+
+// The S256 code challenge sent with the authorization request for `verifier`
+function codeChallenge(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url')
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'))
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT) })
+  const body = await response.json().catch(() => null)
+  if (!response.ok || !body) {
+    const reason = body && body.error ? `${body.error}${body.error_description ? `: ${body.error_description}` : ''}` : `HTTP ${response.status}`
+    throw new Error(`${url} answered ${reason}`)
+  }
+  return body
+}
+
+class OidcClient {
+  // `provider` is one entry of OIDC_PROVIDERS in plugins/config.js
+  constructor(provider) {
+    this.provider = provider
+    this.metadata = null
+    this.keys = []
+    this.keysFetchedAt = 0
+  }
+
+  // The provider's configuration, fetched once
+  async discover() {
+    if (!this.metadata) {
+      const issuer = this.provider.issuer.replace(/\/$/, '')
+      const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`)
+      if (metadata.issuer !== this.provider.issuer) {
+        throw new Error(`Discovery document of ${this.provider.issuer} names issuer ${metadata.issuer}`)
+      }
+      this.metadata = metadata
+    }
+    return this.metadata
+  }
+
+  async authorizationUrl({ redirectUri, state, nonce, verifier }) {
+    const { authorization_endpoint } = await this.discover()
+    const url = new URL(authorization_endpoint)
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.provider.client_id,
+      redirect_uri: redirectUri,
+      scope: this.provider.scope,
+      state,
+      nonce,
+      code_challenge: codeChallenge(verifier),
+      code_challenge_method: 'S256'
+    })
+    return url.toString()
+  }
+
+  // Trade the code from the callback for tokens; resolves to the verified
+  // claims of the ID token
+  async callback({ code, redirectUri, verifier, nonce }) {
+    const { token_endpoint } = await this.discover()
+    const { client_id, client_secret } = this.provider
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: verifier
+    })
+    const headers = { 'content-type': 'application/x-www-form-urlencoded', accept: 'application/json' }
+    if (client_secret) {
+      // client_secret_basic, the default authentication method
+      const credentials = `${encodeURIComponent(client_id)}:${encodeURIComponent(client_secret)}`
+      headers.authorization = `Basic ${Buffer.from(credentials).toString('base64')}`
+    } else {
+      body.set('client_id', client_id)
+    }
+    const tokens = await fetchJson(token_endpoint, { method: 'POST', headers, body })
+    if (!tokens.id_token) {
+      throw new Error('The token response has no ID token')
+    }
+    return this.verifyIdToken(tokens.id_token, nonce)
+  }
+
+  // The public key with this kid, refetching the key set when it is unknown
+  // since providers rotate their keys
+  async signingKey(kid) {
+    const find = () => this.keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'))
+    if (!find() && Date.now() - this.keysFetchedAt > JWKS_REFRESH_INTERVAL) {
+      const { jwks_uri } = await this.discover()
+      this.keys = (await fetchJson(jwks_uri)).keys || []
+      this.keysFetchedAt = Date.now()
+    }
+    const jwk = find()
+    if (!jwk) {
+      throw new Error(`No signing key ${kid || ''} published by ${this.provider.issuer}`)
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' })
+  }
+
+  async verifyIdToken(idToken, nonce) {
+    const [header, payload, signature] = String(idToken).split('.')
+    if (!header || !payload || !signature) {
+      throw new Error('The ID token is not a signed JWT')
+    }
+    const { alg, kid } = decodeSegment(header)
+    if (!ALGORITHMS[alg]) {
+      throw new Error(`The ID token is signed with unsupported algorithm ${alg}`)
+    }
+    const key = await this.signingKey(kid)
+    const valid = crypto.verify('sha256', Buffer.from(`${header}.${payload}`), ALGORITHMS[alg](key), Buffer.from(signature, 'base64url'))
+    if (!valid) {
+      throw new Error('The ID token signature is not valid')
+    }
+
+    const claims = decodeSegment(payload)
+    const now = Math.floor(Date.now() / 1000)
+    const audience = [].concat(claims.aud)
+    if (claims.iss !== this.provider.issuer) {
+      throw new Error(`The ID token was issued by ${claims.iss}`)
+    }
+    if (!audience.includes(this.provider.client_id) || (audience.length > 1 && claims.azp !== this.provider.client_id)) {
+      throw new Error('The ID token is meant for another client')
+    }
+    if (typeof claims.exp !== 'number' || claims.exp < now - CLOCK_SKEW) {
+      throw new Error('The ID token has expired')
+    }
+    if (typeof claims.iat === 'number' && claims.iat > now + CLOCK_SKEW) {
+      throw new Error('The ID token was issued in the future')
+    }
+    if (!nonce || claims.nonce !== nonce) {
+      throw new Error('The ID token nonce does not match')
+    }
+    if (!claims.sub) {
+      throw new Error('The ID token has no subject')
+    }
+    return claims
+  }
+}
+
+module.exports = { OidcClient, randomToken }
@@ -0,0 +1,35 @@
+const argon2 = require('argon2')
+const bcrypt = require('bcryptjs')
+
+// New password hashes are argon2id with the cost set in plugins/config.js.
+// Stored hashes made with other settings, another argon2 variant or bcrypt
+// (e.g. accounts imported from an older system) still verify, and
+// needsRehash() tells when to replace them after a successful login.
+const ARGON2ID = '$argon2id$'
+const BCRYPT = /^\$2[aby]\$/
+
+function hashOptions(config) {
+  return {
+    type: argon2.argon2id,
+    memoryCost: config.ARGON2_MEMORY_COST,
+    timeCost: config.ARGON2_TIME_COST,
+    parallelism: config.ARGON2_PARALLELISM
+  }
+}
+
+function hash(password, options) {
+  return argon2.hash(password, options)
+}
+
+function verify(digest, password) {
+  if (BCRYPT.test(digest)) {
+    return bcrypt.compare(password, digest)
+  }
+  return argon2.verify(digest, password)
+}
+
+function needsRehash(digest, options) {
+  return !digest.startsWith(ARGON2ID) || argon2.needsRehash(digest, options)
+}
+
+module.exports = { hashOptions, hash, verify, needsRehash }
@@ -0,0 +1,50 @@
+const { EventEmitter } = require('events')
+const { Op } = require('sequelize')
+
+const DEFAULT_LIFETIME = 15 * 60 * 1000 // for sessions whose cookie has no expiry
+
+// Session store for @fastify/session that keeps sessions in the Session
+// model instead of process memory
+class SequelizeSessionStore extends EventEmitter {
+  constructor(Session) {
+    super()
+    this.Session = Session
+  }
+
+  set(sid, session, callback) {
+    const expires = session.cookie && session.cookie.expires
+    this.Session.upsert({
+      sid,
+      data: JSON.stringify(session),
+      user_id: session.user_id || null,
+      user_agent: session.user_agent ? String(session.user_agent).slice(0, 255) : null,
+      ip: session.ip || null,
+      last_seen_at: new Date(),
+      expires_at: expires ? new Date(expires) : new Date(Date.now() + DEFAULT_LIFETIME)
+    }).then(() => callback(), callback)
+  }
+
+  get(sid, callback) {
+    this.Session.findByPk(sid)
+      .then(async row => {
+        if (!row) return null
+        if (row.expires_at < new Date()) {
+          await row.destroy()
+          return null
+        }
+        return JSON.parse(row.data)
+      })
+      .then(session => callback(null, session), callback)
+  }
+
+  destroy(sid, callback) {
+    this.Session.destroy({ where: { sid } }).then(() => callback(), callback)
+  }
+
+  // Remove every session past its expiry date
+  async clearExpired() {
+    return this.Session.destroy({ where: { expires_at: { [Op.lt]: new Date() } } })
+  }
+}
+
+module.exports = SequelizeSessionStore
@@ -0,0 +1,86 @@
+const crypto = require('crypto')
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// HMAC-SHA1, 6 digits, a new code every 30 seconds
+const DIGITS = 6
+const PERIOD = 30 // seconds
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567' // base32, RFC 4648
+
+function base32Encode(buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+function base32Decode(text) {
+  let bits = 0
+  let value = 0
+  const bytes = []
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = ALPHABET.indexOf(char)
+    if (index === -1) throw new Error(`Invalid base32 character "${char}"`)
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+// A new random secret, base32 encoded the way authenticator apps expect it
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20))
+}
+
+// The time step a moment falls into
+function timeStep(time = Date.now()) {
+  return Math.floor(time / 1000 / PERIOD)
+}
+
+// The code for one time step (RFC 4226 HOTP with the step as counter)
+function generate(secret, step = timeStep()) {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 15
+  const number = hmac.readUInt32BE(offset) & 0x7fffffff
+  return String(number % 10 ** DIGITS).padStart(DIGITS, '0')
+}
+
+// Check a code, allowing `window` steps of clock drift either way. Resolves
+// to the time step that matched, so callers can refuse a code twice, or null.
+function verify(secret, code, window = 1) {
+  code = String(code || '').replace(/\s/g, '')
+  if (!/^\d{6}$/.test(code)) return null
+  const now = timeStep()
+  for (let step = now - window; step <= now + window; step++) {
+    const expected = generate(secret, step)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step
+    }
+  }
+  return null
+}
+
+// otpauth:// URI for the QR code authenticator apps scan
+function keyUri({ secret, account, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${account}`)
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: PERIOD })
+  return `otpauth://totp/${label}?${params}`
+}
+
+module.exports = { generateSecret, generate, verify, keyUri, timeStep }